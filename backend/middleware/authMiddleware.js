@@ -30,6 +30,21 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Like protect, but lets anonymous requests through (req.user stays undefined).
+// An invalid or expired token is treated as anonymous too.
+const optionalAuth = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id).select('-password');
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  next();
+};
+
 const coach = (req, res, next) => {
   if (req.user && req.user.role === 'coach') {
     next();
@@ -38,4 +53,20 @@ const coach = (req, res, next) => {
   }
 };
 
-module.exports = { protect, coach }; 
\ No newline at end of file
+// Platform-wide settings are reserved for the accounts listed in ADMIN_EMAILS (comma-separated)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const isAdmin = (user) => !!user && !!user.email && ADMIN_EMAILS.includes(user.email.toLowerCase());
+
+const admin = (req, res, next) => {
+  if (isAdmin(req.user)) {
+    next();
+  } else {
+    res.status(401).json({ message: 'Not authorized as an admin' });
+  }
+};
+
+module.exports = { protect, optionalAuth, coach, admin, isAdmin }; 
\ No newline at end of file
@@ -0,0 +1,104 @@
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+
+// Ensure uploads directory exists
+const uploadsDir = path.join(__dirname, '../uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// Configure multer for file storage
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, Date.now() + '-' + file.originalname);
+  },
+});
+
+// Build a multer instance on the shared uploads storage that only accepts files passing `accept(file)`
+const createUpload = (accept, rejectMessage) => multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (accept(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error(rejectMessage), false);
+    }
+  }
+});
+
+// Allow video and PDF files
+const contentUpload = createUpload(
+  file => file.mimetype.startsWith('video/') || file.mimetype === 'application/pdf',
+  'Only video and PDF files are allowed'
+);
+
+const imageUpload = createUpload(
+  file => file.mimetype.startsWith('image/'),
+  'Only image files are allowed'
+);
+
+// Upper bound for a course package, both as uploaded and once unpacked
+const PACKAGE_MAX_BYTES = (Number(process.env.COURSE_PACKAGE_MAX_MB) || 200) * 1024 * 1024;
+
+// Course packages are read in memory and never stored in uploads/
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PACKAGE_MAX_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (/zip/.test(file.mimetype) || file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only zip files are allowed'), false);
+    }
+  }
+});
+
+// Roster CSVs are parsed in memory and never stored in uploads/
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/csv|text\/plain/.test(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+// Stored URLs look like 'uploads/<filename>'; remove the file behind one if it exists
+const removeUpload = (url) => {
+  if (!url || !url.startsWith('uploads/')) return;
+  const filePath = path.join(uploadsDir, path.basename(url));
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Copy the file behind a stored URL to a new upload and return the copy's URL
+const copyUpload = (url) => {
+  const source = path.join(uploadsDir, path.basename(url));
+  // Keep the original name that follows the timestamp prefix
+  const originalName = path.basename(url).replace(/^\d+-/, '');
+  let stamp = Date.now();
+  while (fs.existsSync(path.join(uploadsDir, stamp + '-' + originalName))) stamp++;
+  const filename = stamp + '-' + originalName;
+  fs.copyFileSync(source, path.join(uploadsDir, filename));
+  return 'uploads/' + filename;
+};
+
+module.exports = {
+  uploadsDir,
+  PACKAGE_MAX_BYTES,
+  createUpload,
+  contentUpload,
+  imageUpload,
+  packageUpload,
+  rosterUpload,
+  removeUpload,
+  copyUpload,
+};
@@ -2,16 +2,56 @@ const mongoose = require('mongoose');
 
 const Schema = mongoose.Schema;
 
+// Kinds of machine-evaluable rules a badge can carry (see utils/badgeEngine.js)
+const RULE_KINDS = [
+  'taskCount',           // completed at least `threshold` tasks
+  'skillCompletion',     // completed `threshold`% (default 100) of the tasks in `skill`
+  'courseCompletion',    // completed `threshold`% (default 100) of the tasks in `course`
+  'averageRating',       // average coach rating of at least `threshold`
+  'streak',              // daily activity streak of at least `threshold` days
+  'approvedSubmissions', // at least `threshold` submissions approved by a coach
+  'firstToFinish',       // first student to fully complete `skill` or `course`
+];
+
+const ruleSchema = new Schema({
+  kind: { type: String, enum: RULE_KINDS, required: true },
+  threshold: { type: Number, min: 0 },
+  // Optional scope; required for skill/course completion and first-to-finish rules
+  course: { type: Schema.Types.ObjectId, ref: 'Course', default: null },
+  skill: { type: Schema.Types.ObjectId, ref: 'Skill', default: null },
+}, { _id: false });
+
+ruleSchema.pre('validate', function(next) {
+  if (this.kind === 'skillCompletion' && !this.skill) {
+    this.invalidate('skill', 'A skillCompletion rule requires a skill');
+  }
+  if (this.kind === 'courseCompletion' && !this.course) {
+    this.invalidate('course', 'A courseCompletion rule requires a course');
+  }
+  if (this.kind === 'firstToFinish' && !this.course && !this.skill) {
+    this.invalidate('course', 'A firstToFinish rule requires a course or a skill');
+  }
+  next();
+});
+
 const badgeSchema = new Schema({
   title: { type: String, required: true },
   description: { type: String, required: true },
   icon: { type: String, required: true }, // URL or icon name
-  criteria: { type: String, required: true }, // e.g., 'Complete 5 tasks'
+  iconFile: { type: String, default: null }, // The upload behind `icon`, removed along with the badge
+  criteria: { type: String, default: '' }, // Human-readable summary, e.g. 'Complete 5 tasks'
+  rule: { type: ruleSchema, default: null }, // Evaluated on every progress event
   type: { type: String, default: 'general' }, // e.g., 'completion', 'streak', etc.
+  xpReward: { type: Number, min: 0 }, // XP granted with the badge; falls back to XP_REWARDS.badgeDefault
+  active: { type: Boolean, default: true },
+  course: { type: Schema.Types.ObjectId, ref: 'Course', default: null }, // null = global badge
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
 }, {
   timestamps: true,
 });
 
 const Badge = mongoose.model('Badge', badgeSchema);
 
-module.exports = Badge; 
\ No newline at end of file
+Badge.RULE_KINDS = RULE_KINDS;
+
+module.exports = Badge;
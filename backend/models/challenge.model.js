@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Goals are measured over progress events that happen inside the challenge window
+const GOAL_KINDS = [
+  'completeTasks', // complete `target` tasks (optionally in `skill`)
+  'submitTasks',   // submit `target` tasks for review (optionally in `skill`)
+  'earnXp',        // earn `target` XP
+  'coachRating',   // get `target` tasks rated at least `minRating` by a coach
+];
+
+const goalSchema = new Schema({
+  kind: { type: String, enum: GOAL_KINDS, required: true },
+  target: { type: Number, required: true, min: 1 },
+  skill: { type: Schema.Types.ObjectId, ref: 'Skill', default: null },
+  minRating: { type: Number, min: 1, max: 5, default: 4 },
+}, { _id: false });
+
+const challengeSchema = new Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // A challenge runs either in a course or in a group
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+  },
+  group: {
+    type: Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  goals: {
+    type: [goalSchema],
+    validate: {
+      validator: (goals) => goals.length > 0,
+      message: 'A challenge needs at least one goal',
+    },
+  },
+  reward: {
+    xp: { type: Number, default: 0, min: 0 },
+    badge: { type: Schema.Types.ObjectId, ref: 'Badge', default: null },
+  },
+  completions: [{
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    completedAt: { type: Date, default: Date.now },
+  }],
+}, {
+  timestamps: true,
+});
+
+challengeSchema.index({ course: 1, startsAt: 1, endsAt: 1 });
+challengeSchema.index({ group: 1, startsAt: 1, endsAt: 1 });
+
+challengeSchema.pre('validate', function(next) {
+  if (!this.course === !this.group) {
+    this.invalidate('course', 'A challenge must belong to exactly one course or group');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'A challenge must end after it starts');
+  }
+  next();
+});
+
+const Challenge = mongoose.model('Challenge', challengeSchema);
+
+Challenge.GOAL_KINDS = GOAL_KINDS;
+
+module.exports = Challenge;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A group-vs-group competition scored over XP and task completions inside a time window
+const competitionSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  groups: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Group',
+  }],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  // total: sum of members' XP; average: XP per member; completionRate: average % of the course completed
+  scoringRule: {
+    type: String,
+    enum: ['total', 'average', 'completionRate'],
+    default: 'total',
+  },
+  // Limits XP and completions to one course; required for the completionRate rule
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+competitionSchema.pre('validate', function(next) {
+  const distinctGroups = new Set(this.groups.map(id => id.toString()));
+  if (distinctGroups.size < 2) {
+    this.invalidate('groups', 'A competition needs at least two different groups');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'A competition must end after it starts');
+  }
+  if (this.scoringRule === 'completionRate' && !this.course) {
+    this.invalidate('course', 'The completionRate rule needs a course');
+  }
+  next();
+});
+
+const Competition = mongoose.model('Competition', competitionSchema);
+
+module.exports = Competition;
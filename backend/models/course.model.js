@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const Schema = mongoose.Schema;
 
@@ -17,6 +18,12 @@ const courseSchema = new Schema({
     ref: 'User', // Reference to the User model (the coach)
     required: true,
   },
+  // Co-coaches and assistants; the owner is `coach`
+  staff: [{
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['coCoach', 'assistant'], required: true },
+    addedAt: { type: Date, default: Date.now },
+  }],
   students: [{
     type: Schema.Types.ObjectId,
     ref: 'User', // Reference to the User model (the student)
@@ -25,12 +32,81 @@ const courseSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Skill',
   }],
+  // Drafts are hidden from students; published items stay hidden until releaseAt (if set)
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published',
+  },
+  releaseAt: {
+    type: Date,
+    default: null,
+  },
+  // Free-form catalog tags, stored lowercase
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  // public: listed and open; unlisted: open to anyone with the link; private: join code required
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public',
+  },
+  joinCode: {
+    code: { type: String },
+    expiresAt: { type: Date, default: null },
+  },
+  // When set, students wait in enrollmentRequests until the coach approves them
+  requiresApproval: {
+    type: Boolean,
+    default: false,
+  },
+  // Maximum number of enrolled students; null means unlimited
+  maxSeats: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  // Templates live in the template library: they take no students and are only instantiated
+  isTemplate: {
+    type: Boolean,
+    default: false,
+  },
+  // The course or template this one was copied from
+  templateSource: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+  },
+  enrollmentRequests: [{
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    requestedAt: { type: Date, default: Date.now },
+  }],
+  // Approved students waiting for a free seat, promoted in order
+  waitlist: [{
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    joinedAt: { type: Date, default: Date.now },
+  }],
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true },
 });
 
+courseSchema.index(
+  { 'joinCode.code': 1 },
+  { unique: true, partialFilterExpression: { 'joinCode.code': { $type: 'string' } } }
+);
+
+courseSchema.index({ 'staff.user': 1 });
+courseSchema.index({ tags: 1 });
+courseSchema.index({ name: 'text', description: 'text' }, { weights: { name: 3, description: 1 } });
+
+// Deleting moves it to the trash (see routes/trash.js)
+courseSchema.plugin(softDelete);
+
 const Course = mongoose.model('Course', courseSchema);
 
 module.exports = Course; 
\ No newline at end of file
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One immutable line in the XP ledger. Scores are always the sum of a user's entries;
+// corrections are made by appending a reversal, never by editing or deleting an entry.
+const ledgerEntrySchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['task_completed', 'coach_rating', 'badge', 'challenge', 'bonus', 'reversal'],
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  // Identifies the event that produced this entry; the unique index rejects duplicate awards
+  sourceKey: {
+    type: String,
+    required: true,
+  },
+  task: {
+    type: Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
+  badge: {
+    type: Schema.Types.ObjectId,
+    ref: 'Badge',
+    default: null,
+  },
+  challenge: {
+    type: Schema.Types.ObjectId,
+    ref: 'Challenge',
+    default: null,
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Set on reversal entries: the entry being cancelled out
+  reverses: {
+    type: Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+ledgerEntrySchema.index({ sourceKey: 1 }, { unique: true });
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+ledgerEntrySchema.index({ course: 1, createdAt: -1 });
+ledgerEntrySchema.index({ reverses: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// XP thresholds and tier names for levelling. A config without a course is the global one;
+// a course config overrides it for XP earned in that course.
+const levelConfigSchema = new Schema({
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+  },
+  // thresholds[i] is the total XP needed to reach level i + 2 (everyone starts at level 1)
+  thresholds: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (values) => values.length > 0
+        && values.every((value, i) => value > 0 && (i === 0 || value > values[i - 1])),
+      message: 'Thresholds must be positive and strictly increasing',
+    },
+  },
+  tiers: [{
+    name: { type: String, required: true, trim: true },
+    minLevel: { type: Number, required: true, min: 1 },
+  }],
+}, {
+  timestamps: true,
+});
+
+levelConfigSchema.index({ course: 1 }, { unique: true });
+
+const LevelConfig = mongoose.model('LevelConfig', levelConfigSchema);
+
+module.exports = LevelConfig;
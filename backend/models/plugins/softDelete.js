@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const FILTERED_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Soft delete: trashed documents carry deletedAt and are hidden from queries and aggregations.
+// Pass { withDeleted: true } as a query option, or filter on deletedAt yourself, to see them.
+// Documents trashed together share a trashBatch so they can be restored together.
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    trashBatch: { type: Schema.Types.ObjectId, default: null },
+    // Position in the parent's id array (Course.skills / Skill.tasks) to restore it to
+    trashIndex: { type: Number, default: null },
+  });
+  schema.index({ deletedAt: 1 });
+  schema.index({ trashBatch: 1 });
+
+  schema.pre(FILTERED_QUERIES, { document: false, query: true }, function() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    // $geoNear and $text have to stay the first stage
+    const first = pipeline[0] || {};
+    const index = first.$geoNear || (first.$match && first.$match.$text) ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { deletedAt: null } });
+  });
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const Schema = mongoose.Schema;
 
 const taskProgressSchema = new Schema({
@@ -54,6 +55,21 @@ const taskProgressSchema = new Schema({
     type: String,
     default: '',
   },
+  // Handed in (submitted, or completed without a submission) after the student's deadline
+  late: {
+    type: Boolean,
+    default: false,
+  },
+  // Started days past the deadline
+  daysLate: {
+    type: Number,
+    default: 0,
+  },
+  // Best percentage scored on a quiz task
+  quizScore: {
+    type: Number,
+    default: null,
+  },
   // Add studentRating for student self-rating (1-10)
   studentRating: {
     type: Number,
@@ -119,6 +135,9 @@ progressSchema.methods.getAverageRating = function() {
   return Math.round((totalRating / ratedTasks.length) * 10) / 10; // Round to 1 decimal place
 };
 
+// Deleting moves it to the trash (see routes/trash.js)
+progressSchema.plugin(softDelete);
+
 const Progress = mongoose.model('Progress', progressSchema);
 
 module.exports = Progress; 
\ No newline at end of file
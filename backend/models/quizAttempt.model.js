@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One student's attempt at a quiz task. Answers refer to the task's quiz.questions by _id.
+const quizAttemptSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  task: {
+    type: Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['inProgress', 'submitted', 'expired'],
+    default: 'inProgress',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set when the quiz has a time limit
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  submittedAt: {
+    type: Date,
+  },
+  answers: [{
+    _id: false,
+    question: { type: Schema.Types.ObjectId, required: true },
+    // Chosen option indexes (single, multiple and true/false questions)
+    options: [Number],
+    // Short answer text
+    text: String,
+  }],
+  score: {
+    type: Number,
+    default: 0,
+  },
+  maxScore: {
+    type: Number,
+    default: 0,
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+  },
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// At most one attempt in progress per student and quiz, even when two start at the same time
+quizAttemptSchema.index(
+  { user: 1, task: 1 },
+  { unique: true, partialFilterExpression: { status: 'inProgress' }, name: 'one_attempt_in_progress' }
+);
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+module.exports = QuizAttempt;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const Schema = mongoose.Schema;
 
@@ -14,10 +15,71 @@ const skillSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Task'
   }],
+  // Drafts are hidden from students; published items stay hidden until releaseAt (if set)
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published',
+  },
+  releaseAt: {
+    type: Date,
+    default: null,
+  },
+  // Students work through the tasks in order: each task opens once the one before it is completed or approved
+  sequential: {
+    type: Boolean,
+    default: false,
+  },
+  // Skills of the same course that must be satisfied before this one unlocks
+  prerequisites: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Skill'
+  }],
+  // What "satisfied" means for each prerequisite skill
+  unlockCondition: {
+    mode: { type: String, enum: ['allTasks', 'percentage', 'minRating'], default: 'allTasks' },
+    percentage: { type: Number, min: 0, max: 100, default: 100 }, // for 'percentage'
+    minRating: { type: Number, min: 1, max: 5, default: 3 },      // average coach rating, for 'minRating'
+  },
 }, {
   timestamps: true,
 });
 
+// Prerequisites must be other skills of the same course and must not form a cycle
+skillSchema.pre('validate', async function() {
+  if (!this.isModified('prerequisites') || this.prerequisites.length === 0) return;
+  const ownId = this._id.toString();
+  const prerequisiteIds = this.prerequisites.map(id => id.toString());
+
+  const courseSkills = await this.constructor.find({ course: this.course, _id: { $ne: this._id } })
+    .select('prerequisites');
+  const graph = new Map(courseSkills.map(skill => [skill._id.toString(), skill.prerequisites.map(id => id.toString())]));
+  if (prerequisiteIds.some(id => !graph.has(id))) {
+    this.invalidate('prerequisites', 'Prerequisites must be other skills of the same course');
+    return;
+  }
+
+  // Walk everything this skill depends on; reaching the skill itself means a cycle
+  const stack = [...prerequisiteIds];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === ownId) {
+      this.invalidate('prerequisites', 'Prerequisites cannot form a cycle');
+      return;
+    }
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(graph.get(id) || []));
+  }
+});
+
+// Lets the course catalog search skill titles
+skillSchema.index({ title: 'text' });
+
+// Deleting moves it to the trash (see routes/trash.js)
+skillSchema.plugin(softDelete);
+
 const Skill = mongoose.model('Skill', skillSchema);
 
 module.exports = Skill; 
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Daily activity streak of a user across all enrolled courses
+const streakSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  current: {
+    type: Number,
+    default: 0,
+  },
+  longest: {
+    type: Number,
+    default: 0,
+  },
+  // Local calendar day (YYYY-MM-DD) of the most recent activity
+  lastActiveDay: {
+    type: String,
+    default: null,
+  },
+  // Day boundary settings; null means the server defaults from utils/streaks.js
+  timezone: {
+    type: String,
+    default: null,
+  },
+  dayStartHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: null,
+  },
+  // Streak-freeze tokens, spent automatically to cover missed days
+  freezes: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  events: [{
+    type: { type: String, enum: ['milestone', 'broken', 'freeze_earned', 'freeze_used'], required: true },
+    length: { type: Number, required: true }, // streak length, or number of freezes used
+    at: { type: Date, default: Date.now },
+  }],
+}, {
+  timestamps: true,
+});
+
+streakSchema.index({ user: 1 }, { unique: true });
+
+const Streak = mongoose.model('Streak', streakSchema);
+
+module.exports = Streak;
@@ -4,8 +4,20 @@ const Schema = mongoose.Schema;
 
 const studentSchema = new Schema({
   name: { type: String, required: true, trim: true },
-  score: { type: Number, default: 0 },
+  // Account a lazily created profile belongs to; unique so concurrent creations share one document
+  user: { type: Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
+  score: { type: Number, default: 0 }, // Cached copy of the XP ledger total, see utils/xpLedger.js
   badges: [{ type: Schema.Types.ObjectId, ref: 'Badge' }],
+  // Badges a coach took away; rules never award these again, only a manual award does
+  revokedBadges: [{ type: Schema.Types.ObjectId, ref: 'Badge' }],
+  // Manual awards and revocations by coaches
+  badgeHistory: [{
+    badge: { type: Schema.Types.ObjectId, ref: 'Badge', required: true },
+    action: { type: String, enum: ['awarded', 'revoked'], required: true },
+    reason: { type: String, default: '' },
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+  }],
 }, {
   timestamps: true,
 });
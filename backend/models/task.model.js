@@ -1,6 +1,62 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { INSTRUCTION_FORMATS, renderInstructions, isWebUrl } = require('../utils/richText');
 const Schema = mongoose.Schema;
 
+const quizQuestionSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['single', 'multiple', 'trueFalse', 'shortAnswer'],
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Choices for single and multiple choice; true/false questions always have ['True', 'False']
+  options: [{
+    type: String,
+    trim: true,
+  }],
+  points: {
+    type: Number,
+    min: 0,
+    default: 1,
+  },
+  // The answer key is never selected unless asked for (see ANSWER_KEY in utils/quiz.js)
+  correctOptions: {
+    type: [Number],
+    select: false,
+  },
+  acceptedAnswers: {
+    type: [String],
+    select: false,
+  },
+});
+
+const quizSchema = new Schema({
+  questions: [quizQuestionSchema],
+  // Percentage of the points needed to pass
+  passingScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 70,
+  },
+  // null means unlimited
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  timeLimitMinutes: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+}, { _id: false });
+
 const taskSchema = new Schema({
   title: {
     type: String,
@@ -10,12 +66,64 @@ const taskSchema = new Schema({
   type: {
     type: String,
     required: true,
-    enum: ['video', 'pdf', 'text'], // Defines the kind of task
+    enum: ['video', 'pdf', 'text', 'link', 'quiz'], // Defines the kind of task
+  },
+  // Markdown or HTML written by the coach; instructionsHtml is the sanitized rendering students see
+  instructions: {
+    type: String,
+    default: '',
+  },
+  instructionsFormat: {
+    type: String,
+    enum: INSTRUCTION_FORMATS,
+    default: 'markdown',
+  },
+  instructionsHtml: {
+    type: String,
+    default: '',
+  },
+  links: [{
+    _id: false,
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: { validator: isWebUrl, message: 'Links must be http or https URLs' },
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  }],
+  // Only quiz tasks have one
+  quiz: {
+    type: quizSchema,
+    default: undefined,
   },
   contentUrls: [{ // Array of URLs for multiple video or PDF content files
     type: String,
     required: true,
   }],
+  // Changes to contentUrls after the task was created, oldest first
+  contentHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['add', 'remove', 'replace', 'reorder'],
+      required: true,
+    },
+    added: [String],
+    removed: [String],
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   skill: {
     type: Schema.Types.ObjectId,
     ref: 'Skill',
@@ -25,10 +133,75 @@ const taskSchema = new Schema({
     type: Date,
     required: false,
   },
+  // What happens to work handed in after the deadline: 'accept' marks it late, 'penalty' also takes
+  // penaltyPerDay XP off the completion reward for each day late, 'reject' refuses it once graceDays have passed
+  latePolicy: {
+    mode: { type: String, enum: ['accept', 'penalty', 'reject'], default: 'accept' },
+    penaltyPerDay: { type: Number, min: 0, default: 2 },
+    graceDays: { type: Number, min: 0, default: 0 },
+  },
+  // Per-student deadlines granted by course staff; they replace the task deadline for that student
+  extensions: [{
+    _id: false,
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    deadline: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    grantedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  // Drafts are hidden from students; published items stay hidden until releaseAt (if set)
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published',
+  },
+  releaseAt: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
 
+// Sanitize the instructions on every save, and make sure each type has the content it needs;
+// files are optional otherwise
+taskSchema.pre('validate', function() {
+  if (this.isModified('instructions') || this.isModified('instructionsFormat')) {
+    this.instructionsHtml = renderInstructions(this.instructions, this.instructionsFormat);
+  }
+  if (['video', 'pdf'].includes(this.type) && this.contentUrls.length === 0) {
+    this.invalidate('contentUrls', `A ${this.type} task needs at least one file`);
+  }
+  if (this.type === 'text' && !this.instructionsHtml && this.contentUrls.length === 0) {
+    this.invalidate('instructions', 'A text task needs instructions or a file');
+  }
+  if (this.type === 'link' && this.links.length === 0) {
+    this.invalidate('links', 'A link task needs at least one link');
+  }
+  if (this.type === 'quiz' && !this.quiz) {
+    this.invalidate('quiz', 'A quiz task needs a quiz');
+  }
+});
+
+// Deleting moves it to the trash (see routes/trash.js)
+taskSchema.plugin(softDelete);
+
 const Task = mongoose.model('Task', taskSchema);
 
 module.exports = Task; 
\ No newline at end of file
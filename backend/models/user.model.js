@@ -24,6 +24,20 @@ const userSchema = new Schema({
     type: Date,
     default: undefined,
   },
+  // Accounts created from a course roster stay pending until the student accepts the emailed invitation
+  status: {
+    type: String,
+    enum: ['active', 'pending'],
+    default: 'active',
+  },
+  inviteToken: {
+    type: String,
+    default: undefined,
+  },
+  inviteExpires: {
+    type: Date,
+    default: undefined,
+  },
   role: {
     type: String,
     enum: ['student', 'coach'],
@@ -48,6 +62,11 @@ const userSchema = new Schema({
     required: false,
     default: '',
   },
+  // Hide this user from leaderboards shown to other people
+  leaderboardOptOut: {
+    type: Boolean,
+    default: false,
+  },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,293 @@
+const router = require('express').Router();
+const { protect, coach } = require('../middleware/authMiddleware');
+const { imageUpload, removeUpload } = require('../middleware/uploadMiddleware');
+const Badge = require('../models/badge.model');
+const Course = require('../models/course.model');
+const Student = require('../models/student.model');
+const User = require('../models/user.model');
+const { hasCoursePermission, staffCourseFilter } = require('../utils/courseAccess');
+const { grantBadge, canManageBadge, findStudentProfile, getStudentProfile } = require('../utils/badgeEngine');
+const { reverseActiveEntries } = require('../utils/xpLedger');
+
+// Courses whose students a coach may see and award a badge to: the badge's own course when they
+// may view its progress, otherwise (global badges) every course they are on the staff of
+const scopeCourses = async (badge, userId) => {
+  if (badge.course) {
+    const course = await Course.findById(badge.course);
+    return hasCoursePermission(course, userId, 'viewProgress') ? [course] : [];
+  }
+  return Course.find(staffCourseFilter(userId)).select('students');
+};
+
+const inScope = (courses, userId) => courses
+  .some(course => course.students.some(id => id.toString() === userId.toString()));
+
+const outOfScopeResponse = (res, badge) => res.status(400).json({
+  message: badge.course
+    ? 'The student is not enrolled in this badge\'s course'
+    : 'The student is not enrolled in any of your courses',
+});
+
+// Icons named in the body must not point into uploads/, where they could claim another badge's or a task's file
+const isUploadPath = (icon) => typeof icon === 'string' && icon.trim().replace(/^[./]+/, '').startsWith('uploads/');
+
+// Multipart bodies carry the rule as a JSON string
+const parseRule = (rule) => {
+  if (rule === undefined || rule === '') return undefined;
+  if (rule === 'null' || rule === null) return null;
+  return typeof rule === 'string' ? JSON.parse(rule) : rule;
+};
+
+const holderCounts = async (badgeIds) => {
+  const rows = await Student.aggregate([
+    { $match: { badges: { $in: badgeIds } } },
+    { $unwind: '$badges' },
+    { $match: { badges: { $in: badgeIds } } },
+    { $group: { _id: '$badges', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// @route   GET /badges
+// @desc    List global badges and, with ?courseId=, that course's badges, with holder counts
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = req.query.courseId
+      ? { course: { $in: [null, req.query.courseId] } }
+      : { course: null };
+    const badges = await Badge.find(filter).sort({ createdAt: 1 });
+    const counts = await holderCounts(badges.map(b => b._id));
+    res.json(badges.map(badge => ({ ...badge.toObject(), holderCount: counts.get(badge._id.toString()) || 0 })));
+  } catch (error) {
+    console.error('Badge list error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /badges
+// @desc    Create a badge (global, or scoped to one of the coach's courses) with an uploaded icon
+// @access  Private (Coach)
+router.post('/', protect, coach, imageUpload.single('icon'), async (req, res) => {
+  const { title, description, criteria, type, xpReward, courseId, active } = req.body;
+  const icon = req.file ? 'uploads/' + req.file.filename : req.body.icon;
+  if (!title || !description || !icon) {
+    if (req.file) removeUpload(icon);
+    return res.status(400).json({ message: 'title, description and an icon are required' });
+  }
+  if (!req.file && isUploadPath(icon)) {
+    return res.status(400).json({ message: 'Upload the icon instead of naming a stored file' });
+  }
+  try {
+    const badge = new Badge({
+      title,
+      description,
+      icon,
+      iconFile: req.file ? icon : null,
+      criteria,
+      type,
+      xpReward,
+      active,
+      rule: parseRule(req.body.rule),
+      course: courseId || null,
+      createdBy: req.user._id,
+    });
+    if (!(await canManageBadge(badge, req.user))) {
+      if (req.file) removeUpload(icon);
+      return res.status(401).json({ message: 'Not authorized to add badges to this course' });
+    }
+    const savedBadge = await badge.save();
+    res.status(201).json(savedBadge);
+  } catch (error) {
+    if (req.file) removeUpload(icon);
+    if (error instanceof SyntaxError || error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Badge creation error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT /badges/:id
+// @desc    Update a badge; a new icon upload replaces the old file
+// @access  Private (Coach)
+router.put('/:id', protect, coach, imageUpload.single('icon'), async (req, res) => {
+  const newIcon = req.file ? 'uploads/' + req.file.filename : null;
+  try {
+    const badge = await Badge.findById(req.params.id);
+    if (!badge) {
+      if (newIcon) removeUpload(newIcon);
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+    if (!(await canManageBadge(badge, req.user))) {
+      if (newIcon) removeUpload(newIcon);
+      return res.status(401).json({ message: 'Not authorized to update this badge' });
+    }
+
+    ['title', 'description', 'criteria', 'type', 'xpReward', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) badge[field] = req.body[field];
+    });
+    const rule = parseRule(req.body.rule);
+    if (rule !== undefined) badge.rule = rule;
+    const oldIconFile = badge.iconFile;
+    if (newIcon) {
+      badge.icon = newIcon;
+      badge.iconFile = newIcon;
+    } else if (req.body.icon) {
+      if (isUploadPath(req.body.icon)) {
+        return res.status(400).json({ message: 'Upload the icon instead of naming a stored file' });
+      }
+      badge.icon = req.body.icon;
+      badge.iconFile = null;
+    }
+
+    const updatedBadge = await badge.save();
+    if (oldIconFile && oldIconFile !== updatedBadge.iconFile) removeUpload(oldIconFile);
+    res.json(updatedBadge);
+  } catch (error) {
+    if (newIcon) removeUpload(newIcon);
+    if (error instanceof SyntaxError || error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Badge update error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /badges/:id
+// @desc    Delete a badge and take it away from every holder (XP already granted stays)
+// @access  Private (Coach)
+router.delete('/:id', protect, coach, async (req, res) => {
+  try {
+    const badge = await Badge.findById(req.params.id);
+    if (!badge) {
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+    if (!(await canManageBadge(badge, req.user))) {
+      return res.status(401).json({ message: 'Not authorized to delete this badge' });
+    }
+    await Student.updateMany(
+      { $or: [{ badges: badge._id }, { revokedBadges: badge._id }] },
+      { $pull: { badges: badge._id, revokedBadges: badge._id } }
+    );
+    await badge.deleteOne();
+    if (badge.iconFile) removeUpload(badge.iconFile);
+    res.json({ message: 'Badge deleted successfully' });
+  } catch (error) {
+    console.error('Badge deletion error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /badges/:id/holders
+// @desc    Students holding a badge, limited to the courses the coach may see
+// @access  Private (Coach)
+router.get('/:id/holders', protect, coach, async (req, res) => {
+  try {
+    const badge = await Badge.findById(req.params.id);
+    if (!badge) {
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+    const courses = await scopeCourses(badge, req.user._id);
+    if (badge.course && courses.length === 0) {
+      return res.status(401).json({ message: 'Not authorized to view holders of this badge' });
+    }
+    const students = await User.find({ _id: { $in: courses.flatMap(course => course.students) } })
+      .select('studentProfile');
+    const holders = await Student.find({
+      _id: { $in: students.map(user => user.studentProfile).filter(Boolean) },
+      badges: badge._id,
+    }).select('name score');
+    res.json({ badge, count: holders.length, holders });
+  } catch (error) {
+    console.error('Badge holders error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /badges/:id/award
+// @desc    Manually award a badge to a student of the badge's course, with a reason; this also lifts an earlier revocation
+// @access  Private (Coach)
+router.post('/:id/award', protect, coach, async (req, res) => {
+  const { userId, reason } = req.body;
+  if (!userId) {
+    return res.status(400).json({ message: 'userId is required' });
+  }
+  try {
+    const badge = await Badge.findById(req.params.id);
+    if (!badge) {
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+    if (!(await canManageBadge(badge, req.user))) {
+      return res.status(401).json({ message: 'Not authorized to award this badge' });
+    }
+    if (!inScope(await scopeCourses(badge, req.user._id), userId)) {
+      return outOfScopeResponse(res, badge);
+    }
+    const student = await getStudentProfile(userId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+    if (!(await grantBadge(userId, student._id, badge))) {
+      return res.status(409).json({ message: 'Student already holds this badge' });
+    }
+    await Student.updateOne(
+      { _id: student._id },
+      {
+        $pull: { revokedBadges: badge._id },
+        $push: { badgeHistory: { badge: badge._id, action: 'awarded', reason: reason || '', by: req.user._id } },
+      }
+    );
+    res.json({ message: 'Badge awarded', badge });
+  } catch (error) {
+    console.error('Badge award error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /badges/:id/revoke
+// @desc    Take a badge away from a student, with a reason; the badge XP is reversed and rules will not award it again
+// @access  Private (Coach)
+router.post('/:id/revoke', protect, coach, async (req, res) => {
+  const { userId, reason } = req.body;
+  if (!userId) {
+    return res.status(400).json({ message: 'userId is required' });
+  }
+  try {
+    const badge = await Badge.findById(req.params.id);
+    if (!badge) {
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+    if (!(await canManageBadge(badge, req.user))) {
+      return res.status(401).json({ message: 'Not authorized to revoke this badge' });
+    }
+    if (!inScope(await scopeCourses(badge, req.user._id), userId)) {
+      return outOfScopeResponse(res, badge);
+    }
+    const student = await findStudentProfile(userId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+    const result = await Student.updateOne(
+      { _id: student._id, badges: badge._id },
+      {
+        $pull: { badges: badge._id },
+        $addToSet: { revokedBadges: badge._id },
+        $push: { badgeHistory: { badge: badge._id, action: 'revoked', reason: reason || '', by: req.user._id } },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ message: 'Student does not hold this badge' });
+    }
+    await reverseActiveEntries(
+      { user: userId, badge: badge._id, source: 'badge' },
+      { createdBy: req.user._id, reason: reason || 'Badge revoked' }
+    );
+    res.json({ message: 'Badge revoked', badge });
+  } catch (error) {
+    console.error('Badge revoke error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const router = require('express').Router();
+const { protect, coach } = require('../middleware/authMiddleware');
+const Badge = require('../models/badge.model');
+const Challenge = require('../models/challenge.model');
+const Course = require('../models/course.model');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const { hasCoursePermission } = require('../utils/courseAccess');
+const { getChallengeProgress, findActiveChallenges } = require('../utils/challenges');
+const { canManageBadge } = require('../utils/badgeEngine');
+
+// Course challenges are run by the course's owner and co-coaches, group challenges by the group's coach or creator
+const canManageScope = async (userId, { course, group }) => {
+  const id = userId.toString();
+  if (course) {
+    const found = await Course.findById(course);
+    return hasCoursePermission(found, userId, 'manageRewards');
+  }
+  if (group) {
+    const found = await Group.findById(group);
+    return !!found && (found.creator.toString() === id || (!!found.coach && found.coach.toString() === id));
+  }
+  return false;
+};
+
+const isParticipant = async (user, challenge) => {
+  if (challenge.course) {
+    return user.enrolledCourses.some(id => id.toString() === challenge.course.toString());
+  }
+  return !!(await Group.exists({ _id: challenge.group, members: user._id }));
+};
+
+// @route   POST /challenges
+// @desc    Create a time-boxed challenge in a course or group
+// @access  Private (Coach)
+router.post('/', protect, coach, async (req, res) => {
+  const { title, description, courseId, groupId, startsAt, endsAt, goals, reward } = req.body;
+  if (!title || !startsAt || !endsAt || !Array.isArray(goals)) {
+    return res.status(400).json({ message: 'title, startsAt, endsAt and goals are required' });
+  }
+  try {
+    if (!(await canManageScope(req.user._id, { course: courseId, group: groupId }))) {
+      return res.status(401).json({ message: 'Not authorized to create challenges here' });
+    }
+    // The reward badge must be global or the challenge course's own, and one the coach may award
+    if (reward && reward.badge) {
+      const badge = await Badge.findById(reward.badge);
+      if (!badge) {
+        return res.status(404).json({ message: 'Reward badge not found' });
+      }
+      if (badge.course && (!courseId || badge.course.toString() !== String(courseId))) {
+        return res.status(400).json({ message: 'The reward badge belongs to another course' });
+      }
+      if (!(await canManageBadge(badge, req.user))) {
+        return res.status(401).json({ message: 'Not authorized to award this badge' });
+      }
+    }
+    const challenge = await Challenge.create({
+      title,
+      description,
+      course: courseId || null,
+      group: groupId || null,
+      createdBy: req.user._id,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      goals,
+      reward,
+    });
+    res.status(201).json(challenge);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Challenge creation error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /challenges
+// @desc    List every challenge (past, running and upcoming) of a course or group
+// @access  Private (Coach)
+router.get('/', protect, coach, async (req, res) => {
+  const { courseId, groupId } = req.query;
+  try {
+    if (!(await canManageScope(req.user._id, { course: courseId, group: groupId }))) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    const filter = courseId ? { course: courseId } : { group: groupId };
+    const challenges = await Challenge.find(filter).sort({ startsAt: -1 }).populate('reward.badge', 'title icon');
+    res.json(challenges);
+  } catch (error) {
+    console.error('Challenge list error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /challenges/active
+// @desc    Running challenges for the logged-in student with their progress towards each
+// @access  Private (Student)
+router.get('/active', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const challenges = await findActiveChallenges(user._id, { courseIds: user.enrolledCourses });
+    // Measure progress before populating, while course/group are still plain ids
+    const progress = await Promise.all(challenges.map(challenge => getChallengeProgress(challenge, user._id)));
+    await Challenge.populate(challenges, [
+      { path: 'course', select: 'name' },
+      { path: 'group', select: 'name' },
+      { path: 'reward.badge', select: 'title icon' },
+    ]);
+    const withProgress = challenges.map((challenge, i) => {
+      const { completions, ...rest } = challenge.toObject();
+      return { ...rest, progress: progress[i] };
+    });
+    res.json(withProgress);
+  } catch (error) {
+    console.error('Active challenges error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /challenges/:id/progress
+// @desc    The logged-in student's progress towards one challenge
+// @access  Private (Student)
+router.get('/:id/progress', protect, async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.id);
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+    const user = await User.findById(req.user._id);
+    if (!(await isParticipant(user, challenge))) {
+      return res.status(403).json({ message: 'You are not taking part in this challenge' });
+    }
+    res.json(await getChallengeProgress(challenge, user._id));
+  } catch (error) {
+    console.error('Challenge progress error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /challenges/:id/completions
+// @desc    Students who completed a challenge, in order of completion
+// @access  Private (Coach)
+router.get('/:id/completions', protect, coach, async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.id).populate('completions.user', 'name email');
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+    if (!(await canManageScope(req.user._id, challenge))) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    const completions = [...challenge.completions].sort((a, b) => a.completedAt - b.completedAt);
+    res.json({ challenge: { _id: challenge._id, title: challenge.title }, completions });
+  } catch (error) {
+    console.error('Challenge completions error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /challenges/:id
+// @desc    Delete a challenge (rewards already granted stay in the ledger)
+// @access  Private (Coach)
+router.delete('/:id', protect, coach, async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.id);
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+    if (!(await canManageScope(req.user._id, challenge))) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    await challenge.deleteOne();
+    res.json({ message: 'Challenge deleted' });
+  } catch (error) {
+    console.error('Challenge deletion error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
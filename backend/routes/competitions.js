@@ -0,0 +1,149 @@
+const router = require('express').Router();
+const { protect, coach } = require('../middleware/authMiddleware');
+const Competition = require('../models/competition.model');
+const Group = require('../models/group.model');
+const Course = require('../models/course.model');
+const { scoreGroup } = require('../utils/teamScoring');
+const { isCourseStaff, hasCoursePermission } = require('../utils/courseAccess');
+
+// The group's coach and creator may see how each member contributes
+const canSeeBreakdown = (group, userId) => {
+  const id = userId.toString();
+  return group.creator.toString() === id || (!!group.coach && group.coach.toString() === id);
+};
+
+const isMember = (group, userId) => group.members
+  .some(member => (member._id || member).toString() === userId.toString());
+
+// Standings are for the competition's creator, the members, coaches and creators of its groups,
+// and the staff of its course
+const canViewCompetition = async (competition, userId) => {
+  if (competition.createdBy.toString() === userId.toString()) return true;
+  const inGroups = competition.groups.some(group => canSeeBreakdown(group, userId) || isMember(group, userId));
+  if (inGroups) return true;
+  if (!competition.course) return false;
+  return isCourseStaff(await Course.findById(competition.course), userId);
+};
+
+// @route   POST /competitions
+// @desc    Create a group-vs-group competition
+// @access  Private (Coach or creator of every group, or reward manager of the competition's course)
+router.post('/', protect, coach, async (req, res) => {
+  const { name, description, groupIds, startsAt, endsAt, scoringRule, courseId } = req.body;
+  if (!name || !Array.isArray(groupIds) || !startsAt || !endsAt) {
+    return res.status(400).json({ message: 'name, groupIds, startsAt and endsAt are required' });
+  }
+  try {
+    const groups = await Group.find({ _id: { $in: groupIds } });
+    if (groups.length !== new Set(groupIds.map(String)).size) {
+      return res.status(404).json({ message: 'One or more groups were not found' });
+    }
+    const course = courseId ? await Course.findById(courseId) : null;
+    if (courseId && !course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (course && !isCourseStaff(course, req.user._id)) {
+      return res.status(401).json({ message: 'Not authorized to run competitions in this course' });
+    }
+    const managesCourse = !!course && hasCoursePermission(course, req.user._id, 'manageRewards');
+    if (!managesCourse && !groups.every(group => canSeeBreakdown(group, req.user._id))) {
+      return res.status(401).json({ message: 'You must coach or have created every one of the groups' });
+    }
+    const competition = await Competition.create({
+      name,
+      description,
+      groups: groupIds,
+      createdBy: req.user._id,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      scoringRule,
+      course: courseId || null,
+    });
+    res.status(201).json(competition);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Competition creation error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /competitions
+// @desc    Competitions involving the logged-in user's groups or created by them
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const groups = await Group.find({
+      $or: [{ members: req.user._id }, { coach: req.user._id }, { creator: req.user._id }],
+    }).select('_id');
+    const competitions = await Competition.find({
+      $or: [{ groups: { $in: groups.map(g => g._id) } }, { createdBy: req.user._id }],
+    })
+      .sort({ startsAt: -1 })
+      .populate('groups', 'name')
+      .populate('course', 'name');
+    res.json(competitions);
+  } catch (error) {
+    console.error('Competition list error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /competitions/:id/standings
+// @desc    Groups ranked by the competition's scoring rule; member breakdowns for each group's coach and creator
+// @access  Private (Participants, their coaches and the course staff)
+router.get('/:id/standings', protect, async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id).populate({
+      path: 'groups',
+      populate: { path: 'members', select: 'name role leaderboardOptOut' },
+    });
+    if (!competition) {
+      return res.status(404).json({ message: 'Competition not found' });
+    }
+    if (!(await canViewCompetition(competition, req.user._id))) {
+      return res.status(401).json({ message: 'Not authorized to view this competition' });
+    }
+    const scored = await Promise.all(competition.groups.map(async group => {
+      const score = await scoreGroup(group, {
+        course: competition.course,
+        since: competition.startsAt,
+        until: competition.endsAt,
+      });
+      // Only the group's own coach and creator see its members, and never the ones who opted out
+      const optedOut = new Set(group.members.filter(m => m.leaderboardOptOut).map(m => m._id.toString()));
+      const members = canSeeBreakdown(group, req.user._id)
+        ? score.members.filter(entry => !optedOut.has(entry.user._id.toString()))
+        : undefined;
+      return {
+        group: { _id: group._id, name: group.name },
+        score: score[competition.scoringRule],
+        total: score.total,
+        average: score.average,
+        completionRate: score.completionRate,
+        memberCount: score.memberCount,
+        members,
+      };
+    }));
+    const standings = scored
+      .sort((a, b) => b.score - a.score || a.group.name.localeCompare(b.group.name))
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+    res.json({
+      competition: {
+        _id: competition._id,
+        name: competition.name,
+        scoringRule: competition.scoringRule,
+        startsAt: competition.startsAt,
+        endsAt: competition.endsAt,
+        finished: competition.endsAt < new Date(),
+      },
+      standings,
+    });
+  } catch (error) {
+    console.error('Competition standings error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
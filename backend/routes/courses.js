@@ -1,11 +1,47 @@
 const router = require('express').Router();
+const mongoose = require('mongoose');
 const Course = require('../models/course.model');
-const { protect, coach } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, coach } = require('../middleware/authMiddleware');
 const User = require('../models/user.model');
 const Skill = require('../models/skill.model');
-const Task = require('../models/task.model');
 const Progress = require('../models/progress.model');
 const Student = require('../models/student.model');
+const { XP_REWARDS } = require('../utils/xpLedger');
+const { processProgressEvent } = require('../utils/gamification');
+const { annotateSkills } = require('../utils/skillTree');
+const {
+  PRIVATE_COURSE_FIELDS,
+  isEnrolled,
+  isPending,
+  isWaitlisted,
+  generateJoinCode,
+  joinCodeIsValid,
+  admitStudent,
+  requestEnrollment,
+  promoteFromWaitlist,
+  removeStudent,
+} = require('../utils/enrollment');
+const {
+  STAFF_ROLES,
+  courseRole,
+  isCourseStaff,
+  hasCoursePermission,
+  staffCourseFilter,
+} = require('../utils/courseAccess');
+const { cloneCourse } = require('../utils/courseCopy');
+const {
+  buildCoursePackage,
+  readCoursePackage,
+  describeImport,
+  importCoursePackage,
+} = require('../utils/coursePackage');
+const { packageUpload, rosterUpload } = require('../middleware/uploadMiddleware');
+const { SORT_FIELDS, buildDashboard } = require('../utils/dashboard');
+const { buildGradebook, gradebookToCsv, gradebookToXlsx } = require('../utils/gradebook');
+const { CATALOG_SORTS, ENROLLMENT_STATUSES, decodeCursor, queryCatalog } = require('../utils/catalog');
+const { trashCourse, purgeAt } = require('../utils/trash');
+const { parseRoster, importRoster } = require('../utils/roster');
+const { isReleased, releaseState, releasedSkills, labelReleaseStates, countReleasedTasks } = require('../utils/release');
 
 // @route   GET /api/courses
 // @desc    Get all courses for the logged-in STUDENT
@@ -15,6 +51,7 @@ router.get('/', protect, async (req, res) => {
     // Find the user and populate their enrolled courses with skills and tasks
     const user = await User.findById(req.user._id).populate({
       path: 'enrolledCourses',
+      select: PRIVATE_COURSE_FIELDS.map(field => '-' + field).join(' '),
       populate: {
         path: 'skills',
         populate: {
@@ -26,7 +63,11 @@ router.get('/', protect, async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.json(user.enrolledCourses);
+    // Students only see released courses, skills and tasks
+    const now = new Date();
+    res.json(user.enrolledCourses
+      .filter(course => isReleased(course, now))
+      .map(course => ({ ...course.toObject(), skills: releasedSkills(course.skills, now) })));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
@@ -38,19 +79,74 @@ router.get('/', protect, async (req, res) => {
 // @access  Public
 router.get('/all', async (req, res) => {
   try {
-    const courses = await Course.find({}).populate('coach', 'name');
+    // Unlisted and private courses are only reachable by link or join code
+    const courses = await Course.find({
+      visibility: { $nin: ['unlisted', 'private'] },
+      isTemplate: { $ne: true },
+      status: { $ne: 'draft' },
+      $or: [{ releaseAt: null }, { releaseAt: { $lte: new Date() } }],
+    })
+      .select(PRIVATE_COURSE_FIELDS.map(field => '-' + field).join(' '))
+      .populate('coach', 'name');
     res.json(courses);
   } catch (error) {
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
+// Tags arrive as an array or a comma-separated string; stored lowercase without duplicates
+const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// @route   GET /api/courses/catalog
+// @desc    Search and browse public courses.
+//          Query: q (searches name, description and skill titles), coach, tags (comma-separated, all must match),
+//          enrollment (enrolled|pending|waitlisted|none; needs a token), sort (newest|popular), cursor, limit
+// @access  Public (a token adds the caller's enrollment status to each course)
+router.get('/catalog', optionalAuth, async (req, res) => {
+  const { q, coach: coachId, tags, enrollment, sort = 'newest', cursor } = req.query;
+  if (!CATALOG_SORTS.includes(sort)) {
+    return res.status(400).json({ message: `sort must be one of: ${CATALOG_SORTS.join(', ')}` });
+  }
+  if (coachId && !mongoose.isValidObjectId(coachId)) {
+    return res.status(400).json({ message: 'coach must be a valid id' });
+  }
+  if (enrollment && !ENROLLMENT_STATUSES.includes(enrollment)) {
+    return res.status(400).json({ message: `enrollment must be one of: ${ENROLLMENT_STATUSES.join(', ')}` });
+  }
+  if (enrollment && !req.user) {
+    return res.status(401).json({ message: 'Log in to filter by enrollment status' });
+  }
+  const position = cursor ? decodeCursor(sort, cursor) : null;
+  if (cursor && !position) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+  try {
+    const page = await queryCatalog({
+      search: q ? String(q).trim() : '',
+      coach: coachId,
+      tags: tags ? parseTags(tags) : [],
+      enrollment,
+      sort,
+      cursor: position,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100),
+      viewerId: req.user ? req.user._id : null,
+    });
+    res.json(page);
+  } catch (error) {
+    console.error('Course catalog error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
 // @route   GET /api/courses/my-courses
-// @desc    Get all courses for the logged in COACH
-// @access  Private (Coach)
-router.get('/my-courses', protect, coach, async (req, res) => {
+// @desc    Get all courses the logged in user owns or is on the staff of
+// @access  Private (Course staff)
+router.get('/my-courses', protect, async (req, res) => {
   try {
-    const courses = await Course.find({ coach: req.user._id })
+    const courses = await Course.find(staffCourseFilter(req.user._id))
       .populate({
         path: 'skills',
         populate: {
@@ -67,7 +163,8 @@ router.get('/my-courses', protect, coach, async (req, res) => {
       const studentCount = (course.students || []).filter(student => student.role !== 'coach').length;
       return {
         ...course.toObject(),
-        studentCount
+        studentCount,
+        myRole: courseRole(course, req.user._id)
       };
     });
     res.json(coursesWithStudentCount);
@@ -80,28 +177,196 @@ router.get('/my-courses', protect, coach, async (req, res) => {
 // @desc    Create a new course
 // @access  Private (Coach)
 router.post('/', protect, coach, async (req, res) => {
-  const { name, description } = req.body;
+  const { name, description, status, releaseAt, tags } = req.body;
 
   try {
     const course = new Course({
       name,
       description,
       coach: req.user._id,
+      status,
+      releaseAt: releaseAt || null,
+      tags: tags ? parseTags(tags) : [],
     });
 
     const createdCourse = await course.save();
     res.status(201).json(createdCourse);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Course creation error:', error);
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
+// @route   GET /courses/templates
+// @desc    The template library: every course saved as a template
+// @access  Private (Coach)
+router.get('/templates', protect, coach, async (req, res) => {
+  try {
+    const templates = await Course.find({ isTemplate: true })
+      .select('name description coach skills templateSource createdAt')
+      .populate('coach', 'name')
+      .populate('skills', 'title tasks')
+      .sort({ createdAt: -1 });
+    res.json(templates.map(template => ({
+      _id: template._id,
+      name: template.name,
+      description: template.description,
+      coach: template.coach,
+      createdAt: template.createdAt,
+      skillCount: template.skills.length,
+      taskCount: template.skills.reduce((sum, skill) => sum + skill.tasks.length, 0),
+    })));
+  } catch (error) {
+    console.error('Template library error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /courses/templates/:id/instantiate
+// @desc    Start a new course of the logged-in coach from a template
+// @access  Private (Coach)
+router.post('/templates/:id/instantiate', protect, coach, async (req, res) => {
+  const { name, description, copyFiles } = req.body;
+  try {
+    const template = await Course.findOne({ _id: req.params.id, isTemplate: true }).select('_id');
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    const course = await cloneCourse(template._id, { coachId: req.user._id, name, description, copyFiles: !!copyFiles });
+    res.status(201).json(course);
+  } catch (error) {
+    console.error('Template instantiation error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /courses/:id/duplicate
+// @desc    Deep-copy a course with its skills and tasks, without students or progress;
+//          copyFiles duplicates the uploaded content instead of sharing it
+// @access  Private (Course owner and co-coaches)
+router.post('/:id/duplicate', protect, coach, async (req, res) => {
+  const { name, description, copyFiles } = req.body;
+  try {
+    const source = await Course.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(source, req.user._id, 'editContent')) {
+      return res.status(401).json({ message: 'Not authorized to duplicate this course' });
+    }
+    const course = await cloneCourse(source._id, {
+      coachId: req.user._id,
+      name: name || `${source.name} (copy)`,
+      description,
+      copyFiles: !!copyFiles,
+      isTemplate: source.isTemplate,
+    });
+    res.status(201).json(course);
+  } catch (error) {
+    console.error('Course duplication error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /courses/:id/save-as-template
+// @desc    Publish a copy of the course to the template library
+// @access  Private (Course owner and co-coaches)
+router.post('/:id/save-as-template', protect, coach, async (req, res) => {
+  const { name, description, copyFiles } = req.body;
+  try {
+    const source = await Course.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(source, req.user._id, 'editContent')) {
+      return res.status(401).json({ message: 'Not authorized to template this course' });
+    }
+    const template = await cloneCourse(source._id, {
+      coachId: req.user._id,
+      name,
+      description,
+      copyFiles: !!copyFiles,
+      isTemplate: true,
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Save as template error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /courses/:id/export
+// @desc    Download the course, its skills, tasks and task files as a zip package
+// @access  Private (Course owner and co-coaches)
+router.get('/:id/export', protect, coach, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'editContent')) {
+      return res.status(401).json({ message: 'Not authorized to export this course' });
+    }
+    const archive = await buildCoursePackage(course._id);
+    const filename = course.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'course';
+    res.attachment(`${filename}.zip`);
+    res.type('application/zip');
+    res.send(archive);
+  } catch (error) {
+    console.error('Course export error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /courses/import
+// @desc    Import a course package (multipart field 'package') under the logged-in coach.
+//          The package is validated and checked for conflicts before anything is written;
+//          dryRun only reports, name overrides the course name, onConflict=rename imports despite a name clash.
+// @access  Private (Coach)
+router.post('/import', protect, coach, packageUpload.single('package'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'A course package zip is required' });
+  }
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  try {
+    const pkg = readCoursePackage(req.file.buffer);
+    if (pkg.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid course package', valid: false, errors: pkg.errors });
+    }
+
+    let { name } = req.body;
+    let { conflicts, summary } = await describeImport(pkg.manifest, req.user._id, { name });
+    if (conflicts.length > 0 && req.body.onConflict === 'rename') {
+      name = `${summary.courseName} (imported ${new Date().toISOString().slice(0, 10)})`;
+      ({ conflicts, summary } = await describeImport(pkg.manifest, req.user._id, { name }));
+    }
+    const report = { valid: true, errors: [], conflicts, summary };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...report });
+    }
+    if (conflicts.length > 0) {
+      return res.status(409).json({ message: 'The package conflicts with existing data', ...report });
+    }
+    const course = await importCoursePackage(pkg, req.user._id, { name });
+    res.status(201).json({ ...report, course });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Course import error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
 // @route   PUT /courses/:id
 // @desc    Update a course
-// @access  Private (Coach - owner only)
+// @access  Private (Course owner and co-coaches)
 router.put('/:id', protect, coach, async (req, res) => {
-  const { name, description } = req.body;
+  const { name, description, visibility, requiresApproval, maxSeats, status, releaseAt, tags } = req.body;
 
   try {
     const course = await Course.findById(req.params.id);
@@ -110,25 +375,36 @@ router.put('/:id', protect, coach, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if the logged-in user is the coach of this course
-    if (course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'manageCourse')) {
       return res.status(401).json({ message: 'Not authorized to update this course' });
     }
 
     course.name = name || course.name;
     course.description = description || course.description;
+    if (visibility !== undefined) course.visibility = visibility;
+    if (requiresApproval !== undefined) course.requiresApproval = !!requiresApproval;
+    if (maxSeats !== undefined) course.maxSeats = maxSeats || null;
+    if (status !== undefined) course.status = status;
+    if (releaseAt !== undefined) course.releaseAt = releaseAt || null;
+    if (tags !== undefined) course.tags = tags ? parseTags(tags) : [];
 
+    // Extra seats go to the waitlist first, once the new seat limit is known to be valid
+    await course.validate();
+    await promoteFromWaitlist(course);
     const updatedCourse = await course.save();
     res.json(updatedCourse);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Course update error:', error);
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
 // @route   DELETE /courses/:id
-// @desc    Delete a course
-// @access  Private (Coach - owner only)
+// @desc    Move a course, with its skills, tasks, enrollments and progress, to the trash
+// @access  Private (Course owner only)
 router.delete('/:id', protect, coach, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
@@ -137,34 +413,78 @@ router.delete('/:id', protect, coach, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if the logged-in user is the coach of this course
-    if (course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'deleteCourse')) {
       return res.status(401).json({ message: 'Not authorized to delete this course' });
     }
 
-    // Remove course from all enrolled students
-    await User.updateMany(
-      { enrolledCourses: course._id },
-      { $pull: { enrolledCourses: course._id } }
-    );
+    // Everything can be restored from the trash until the purge job removes it
+    await trashCourse(course, req.user._id);
+    const trashed = await Course.findById(course._id).setOptions({ withDeleted: true });
 
-    // Delete associated skills and their tasks
-    const skills = await Skill.find({ course: course._id });
-    for (const skill of skills) {
-      // Delete tasks associated with this skill
-      await Task.deleteMany({ skill: skill._id });
-    }
-    await Skill.deleteMany({ course: course._id });
+    res.json({ message: 'Course moved to trash', purgeAt: purgeAt(trashed) });
+  } catch (error) {
+    console.error('Course deletion error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
 
-    // Delete progress records for this course
-    await Progress.deleteMany({ course: course._id });
+// Shared enrollment flow for POST /courses/:id/enroll and POST /courses/join
+const enrollInCourse = async (course, user, joinCode, res) => {
+  if (course.isTemplate) {
+    return res.status(400).json({ message: 'Templates cannot be enrolled in' });
+  }
+  if (!isReleased(course)) {
+    return res.status(400).json({ message: 'This course is not open for enrollment yet' });
+  }
+
+  // Prevent course staff from enrolling as students in their own course
+  if (isCourseStaff(course, user._id)) {
+    return res.status(400).json({ message: 'Course staff cannot enroll as students in their own course' });
+  }
+
+  // Check if user is already enrolled, queued or waitlisted
+  if (isEnrolled(course, user._id) || user.enrolledCourses.includes(course._id)) {
+    return res.status(400).json({ message: 'Already enrolled in this course' });
+  }
+  if (isPending(course, user._id)) {
+    return res.status(400).json({ message: 'Your enrollment request is awaiting approval', status: 'pending' });
+  }
+  if (isWaitlisted(course, user._id)) {
+    return res.status(400).json({ message: 'You are already on the waitlist', status: 'waitlisted' });
+  }
+
+  // Private courses can only be joined with a valid, unexpired join code
+  if (course.visibility === 'private' && !joinCodeIsValid(course, joinCode)) {
+    return res.status(403).json({ message: 'A valid join code is required to enroll in this course' });
+  }
+
+  const status = await requestEnrollment(course, user._id);
+  await course.save();
 
-    // Delete the course
-    await Course.findByIdAndDelete(req.params.id);
+  const messages = {
+    enrolled: 'Enrolled successfully',
+    pending: 'Enrollment requested; the coach will review it',
+    waitlisted: 'The course is full; you have been added to the waitlist',
+  };
+  res.json({ message: messages[status], status });
+};
 
-    res.json({ message: 'Course deleted successfully' });
+// @route   POST /courses/join
+// @desc    Enroll the logged in student using a join code
+router.post('/join', protect, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ message: 'Join code is required' });
+  }
+  try {
+    const course = await Course.findOne({ 'joinCode.code': String(code).trim().toUpperCase() });
+    const user = await User.findById(req.user._id);
+    if (!course || !joinCodeIsValid(course, code)) {
+      return res.status(404).json({ message: 'Invalid or expired join code' });
+    }
+    await enrollInCourse(course, user, code, res);
   } catch (error) {
-    console.error('Course deletion error:', error);
+    console.error('Enrollment error:', error);
     res.status(500).json({ message: 'Server Error' });
   }
 });
@@ -180,27 +500,7 @@ router.post('/:id/enroll', protect, async (req, res) => {
       return res.status(404).json({ message: 'Course or User not found' });
     }
 
-    // Prevent coach from enrolling as a student in their own course
-    if (course.coach.toString() === user._id.toString()) {
-      return res.status(400).json({ message: 'Coach cannot enroll as a student in their own course' });
-    }
-
-    // Check if user is already enrolled
-    if (user.enrolledCourses.includes(course._id)) {
-      return res.status(400).json({ message: 'Already enrolled in this course' });
-    }
-
-    // Add student to course's student list
-    if (!course.students.includes(user._id)) {
-      course.students.push(user._id);
-      await course.save();
-    }
-
-    // Add course to student's enrolled list
-    user.enrolledCourses.push(course._id);
-    await user.save();
-
-    res.json({ message: 'Enrolled successfully' });
+    await enrollInCourse(course, user, req.body.joinCode, res);
   } catch (error) {
     console.error('Enrollment error:', error);
     res.status(500).json({ message: 'Server Error' });
@@ -208,7 +508,7 @@ router.post('/:id/enroll', protect, async (req, res) => {
 });
 
 // @route   POST /courses/:id/unenroll
-// @desc    Unenroll the logged in student from a course
+// @desc    Unenroll the logged in student from a course (or withdraw a request / leave the waitlist)
 router.post('/:id/unenroll', protect, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
@@ -218,14 +518,10 @@ router.post('/:id/unenroll', protect, async (req, res) => {
       return res.status(404).json({ message: 'Course or User not found' });
     }
 
-    // Remove student from course's student list
-    course.students = course.students.filter(studentId => studentId.toString() !== user._id.toString());
+    // Frees the seat and promotes the next waitlisted student into it
+    await removeStudent(course, user._id);
     await course.save();
 
-    // Remove course from student's enrolled list
-    user.enrolledCourses = user.enrolledCourses.filter(courseId => courseId.toString() !== course._id.toString());
-    await user.save();
-
     res.json({ message: 'Unenrolled successfully' });
   } catch (error) {
     console.error('Unenrollment error:', error);
@@ -233,17 +529,353 @@ router.post('/:id/unenroll', protect, async (req, res) => {
   }
 });
 
+// @route   POST /courses/:id/join-code
+// @desc    Generate (or rotate) the course join code, optionally expiring after expiresInHours
+// @access  Private (Course owner and co-coaches)
+router.post('/:id/join-code', protect, coach, async (req, res) => {
+  const { expiresInHours } = req.body;
+  if (expiresInHours !== undefined && !(Number(expiresInHours) > 0)) {
+    return res.status(400).json({ message: 'expiresInHours must be a positive number' });
+  }
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageEnrollment')) {
+      return res.status(401).json({ message: 'Not authorized to manage this course' });
+    }
+    course.joinCode = {
+      code: generateJoinCode(),
+      expiresAt: expiresInHours ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : null,
+    };
+    await course.save();
+    res.json({ joinCode: course.joinCode });
+  } catch (error) {
+    console.error('Join code error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /courses/:id/join-code
+// @desc    Revoke the course join code
+// @access  Private (Course owner and co-coaches)
+router.delete('/:id/join-code', protect, coach, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageEnrollment')) {
+      return res.status(401).json({ message: 'Not authorized to manage this course' });
+    }
+    course.joinCode = undefined;
+    await course.save();
+    res.json({ message: 'Join code revoked' });
+  } catch (error) {
+    console.error('Join code error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /courses/:id/enrollment-requests
+// @desc    Pending enrollment requests and the waitlist of a course
+// @access  Private (Course owner and co-coaches)
+router.get('/:id/enrollment-requests', protect, coach, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .populate('enrollmentRequests.user', 'name email')
+      .populate('waitlist.user', 'name email');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageEnrollment')) {
+      return res.status(401).json({ message: 'Not authorized to manage this course' });
+    }
+    res.json({
+      requests: course.enrollmentRequests,
+      waitlist: course.waitlist,
+      seatsTaken: course.students.length,
+      maxSeats: course.maxSeats,
+    });
+  } catch (error) {
+    console.error('Enrollment requests error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /courses/:id/enrollment-requests/:userId/:decision
+// @desc    Approve or reject a pending enrollment request (decision: approve | reject)
+// @access  Private (Course owner and co-coaches)
+router.post('/:id/enrollment-requests/:userId/:decision', protect, coach, async (req, res) => {
+  const { userId, decision } = req.params;
+  if (!['approve', 'reject'].includes(decision)) {
+    return res.status(400).json({ message: 'Decision must be approve or reject' });
+  }
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageEnrollment')) {
+      return res.status(401).json({ message: 'Not authorized to manage this course' });
+    }
+    if (!isPending(course, userId)) {
+      return res.status(404).json({ message: 'Enrollment request not found' });
+    }
+
+    let status = 'rejected';
+    if (decision === 'approve') {
+      status = await admitStudent(course, userId);
+    } else {
+      course.enrollmentRequests = course.enrollmentRequests.filter(r => r.user.toString() !== userId);
+    }
+    await course.save();
+    res.json({ message: `Request ${status}`, status });
+  } catch (error) {
+    console.error('Enrollment decision error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /courses/:id/roster
+// @desc    Bulk enroll students from a CSV roster (multipart field 'roster', or the CSV text as `csv`).
+//          The header row needs an email column and a name column (or first/last name columns).
+//          Unknown emails get a pending account and an invitation email. dryRun only reports.
+// @access  Private (Course owner and co-coaches)
+router.post('/:id/roster', protect, coach, rosterUpload.single('roster'), async (req, res) => {
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ message: 'A roster CSV is required' });
+  }
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageEnrollment')) {
+      return res.status(401).json({ message: 'Not authorized to manage this course' });
+    }
+    if (course.isTemplate) {
+      return res.status(400).json({ message: 'Templates cannot be enrolled in' });
+    }
+
+    const { entries, error } = parseRoster(text);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const report = await importRoster(course, entries, { dryRun });
+    res.json({ dryRun, ...report });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Roster import error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /courses/:id/staff
+// @desc    List the course owner and staff
+// @access  Private (Course staff)
+router.get('/:id/staff', protect, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .populate('coach', 'name email')
+      .populate('staff.user', 'name email role');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!isCourseStaff(course, req.user._id)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    res.json({ owner: course.coach, staff: course.staff });
+  } catch (error) {
+    console.error('Course staff error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Co-coaches manage content and settings, so they need a coach account; assistants may be any user
+const checkStaffCandidate = (course, user, role) => {
+  if (!STAFF_ROLES.includes(role)) return `Role must be one of: ${STAFF_ROLES.join(', ')}`;
+  if (role === 'coCoach' && user.role !== 'coach') return 'Co-coaches must have a coach account';
+  if (course.students.some(id => id.toString() === user._id.toString())) {
+    return 'Enrolled students cannot be added to the course staff';
+  }
+  return null;
+};
+
+// @route   POST /courses/:id/staff
+// @desc    Add a co-coach or assistant by userId or email
+// @access  Private (Course owner only)
+router.post('/:id/staff', protect, async (req, res) => {
+  const { userId, email, role } = req.body;
+  if (!userId && !email) {
+    return res.status(400).json({ message: 'userId or email is required' });
+  }
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageStaff')) {
+      return res.status(401).json({ message: 'Only the course owner can manage staff' });
+    }
+    const user = userId ? await User.findById(userId) : await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (isCourseStaff(course, user._id)) {
+      return res.status(400).json({ message: 'User is already on the course staff' });
+    }
+    const problem = checkStaffCandidate(course, user, role);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+    course.staff.push({ user: user._id, role });
+    await course.save();
+    res.status(201).json(course.staff);
+  } catch (error) {
+    console.error('Add staff error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT /courses/:id/staff/:userId
+// @desc    Change a staff member's role; role 'owner' hands the course over and makes the old owner a co-coach
+// @access  Private (Course owner only)
+router.put('/:id/staff/:userId', protect, async (req, res) => {
+  const { role } = req.body;
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageStaff')) {
+      return res.status(401).json({ message: 'Only the course owner can manage staff' });
+    }
+    const member = course.staff.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+    const user = await User.findById(member.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (role === 'owner') {
+      if (user.role !== 'coach') {
+        return res.status(400).json({ message: 'The course owner must have a coach account' });
+      }
+      const previousOwner = course.coach;
+      course.coach = member.user;
+      course.staff = course.staff.filter(entry => entry.user.toString() !== req.params.userId);
+      course.staff.push({ user: previousOwner, role: 'coCoach' });
+    } else {
+      const problem = checkStaffCandidate(course, user, role);
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+      member.role = role;
+    }
+    await course.save();
+    res.json({ owner: course.coach, staff: course.staff });
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /courses/:id/staff/:userId
+// @desc    Remove a staff member (staff may also remove themselves)
+// @access  Private (Course owner, or the staff member)
+router.delete('/:id/staff/:userId', protect, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !hasCoursePermission(course, req.user._id, 'manageStaff')) {
+      return res.status(401).json({ message: 'Only the course owner can manage staff' });
+    }
+    if (!course.staff.some(entry => entry.user.toString() === req.params.userId)) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+    course.staff = course.staff.filter(entry => entry.user.toString() !== req.params.userId);
+    await course.save();
+    res.json({ message: 'Staff member removed' });
+  } catch (error) {
+    console.error('Remove staff error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT /courses/:id/skills/order
+// @desc    Reorder a course's skills; `order` lists every skill id of the course in the new order
+// @access  Private (Course owner and co-coaches)
+router.put('/:id/skills/order', protect, coach, async (req, res) => {
+  const { order } = req.body;
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'editContent')) {
+      return res.status(401).json({ message: 'Not authorized to edit this course' });
+    }
+    const current = course.skills.map(id => id.toString());
+    if (!Array.isArray(order) || order.length !== current.length
+      || new Set(order).size !== order.length || !order.every(id => current.includes(id))) {
+      return res.status(400).json({ message: 'order must list each of the course\'s skills exactly once', skills: current });
+    }
+    course.skills = order;
+    await course.save();
+    res.json({ skills: course.skills });
+  } catch (error) {
+    console.error('Skill reorder error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
 // @route   GET /courses/:id/skills-with-tasks
 // @desc    Get a course's skills with populated tasks
 // @access  Private
 router.get('/:id/skills-with-tasks', protect, async (req, res) => {
   try {
-    const skills = await Skill.find({ course: req.params.id }).populate('tasks');
-    if (!skills) {
-      return res.status(404).json({ message: 'No skills found for this course' });
+    const course = await Course.findById(req.params.id).select('coach staff skills students status releaseAt');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const isStaff = isCourseStaff(course, req.user._id);
+    // Like GET /courses/:id: students must be enrolled, and an unreleased course does not exist for them
+    if (!isStaff && !isEnrolled(course, req.user._id)) {
+      return res.status(403).json({ message: 'You must be enrolled in this course to view it' });
     }
-    res.json(skills);
+    if (!isStaff && !isReleased(course)) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    // Each skill carries the caller's locked/unlocked state
+    const skills = await Skill.find({ course: course._id }).populate('tasks');
+    // In the course's order; skills missing from it go last
+    const order = course.skills.map(id => id.toString());
+    const position = (skill) => {
+      const index = order.indexOf(skill._id.toString());
+      return index < 0 ? order.length : index;
+    };
+    skills.sort((a, b) => position(a) - position(b));
+    if (isStaff) {
+      return res.json(annotateSkills(labelReleaseStates(skills), null, { isStaff }));
+    }
+    // Students only see released skills and tasks
+    const progress = await Progress.findOne({ user: req.user._id, course: course._id });
+    res.json(annotateSkills(releasedSkills(skills), progress));
   } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
     console.error('Error fetching skills with tasks:', err);
     res.status(500).json({ message: 'Server Error' });
   }
@@ -265,147 +897,193 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if user is enrolled in this course (for students) or is the coach
+    // Check if user is enrolled in this course (for students) or is on its staff
     const user = await User.findById(req.user._id);
     const isEnrolled = user.enrolledCourses.includes(course._id);
-    const isCoach = course.coach.toString() === req.user._id.toString();
+    const isStaff = isCourseStaff(course, req.user._id);
     
-    if (!isEnrolled && !isCoach) {
+    if (!isEnrolled && !isStaff) {
       return res.status(403).json({ message: 'You must be enrolled in this course to view it' });
     }
-    
-    res.json(course);
+
+    if (isStaff) {
+      // Staff see everything, labelled with its release state
+      const courseData = {
+        ...course.toObject(),
+        releaseState: releaseState(course),
+        skills: annotateSkills(labelReleaseStates(course.skills), null, { isStaff }),
+      };
+      if (!hasCoursePermission(course, req.user._id, 'manageEnrollment')) {
+        PRIVATE_COURSE_FIELDS.forEach(field => delete courseData[field]);
+      }
+      return res.json(courseData);
+    }
+
+    if (!isReleased(course)) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    // Each released skill carries the student's locked/unlocked state
+    const progress = await Progress.findOne({ user: req.user._id, course: course._id });
+    const courseData = { ...course.toObject(), skills: annotateSkills(releasedSkills(course.skills), progress) };
+    PRIVATE_COURSE_FIELDS.forEach(field => delete courseData[field]);
+    res.json(courseData);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
-// @route   GET /courses/:id/dashboard
-// @desc    Get comprehensive course dashboard data for coaches
-router.get('/:id/dashboard', protect, coach, async (req, res) => {
+// @route   GET /courses/:id/preview
+// @desc    The course as a new student would see it, optionally at a future date (?at=ISO date)
+// @access  Private (Course staff)
+router.get('/:id/preview', protect, async (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (Number.isNaN(at.getTime())) {
+    return res.status(400).json({ message: 'at must be a valid date' });
+  }
   try {
-    console.log('Dashboard request for course:', req.params.id);
-    console.log('User ID:', req.user._id);
-    
-    const course = await Course.findById(req.params.id).populate('students', 'email name role');
+    const course = await Course.findById(req.params.id).populate({
+      path: 'skills',
+      populate: {
+        path: 'tasks',
+        model: 'Task'
+      }
+    });
     if (!course) {
-      console.log('Course not found');
       return res.status(404).json({ message: 'Course not found' });
     }
-    
-    console.log('Course found:', course.name);
-    console.log('Course coach:', course.coach);
-    console.log('User ID:', req.user._id);
-    
-    // Check if the logged-in user is the coach of this course
-    if (course.coach.toString() !== req.user._id.toString()) {
-      console.log('Authorization failed - user is not the coach');
+    if (!isCourseStaff(course, req.user._id)) {
       return res.status(401).json({ message: 'Not authorized' });
     }
+    const courseData = {
+      ...course.toObject(),
+      skills: annotateSkills(releasedSkills(course.skills, at), null),
+    };
+    PRIVATE_COURSE_FIELDS.forEach(field => delete courseData[field]);
+    res.json({ preview: { at, courseVisible: isReleased(course, at) }, course: courseData });
+  } catch (error) {
+    console.error('Course preview error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
 
-    console.log('Authorization successful');
+// Validated dashboard options from the query string, or an error message
+const parseDashboardQuery = (query) => {
+  const options = {};
+  const numbers = ['minCompletion', 'maxCompletion', 'minRating', 'maxRating'];
+  for (const key of numbers) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (Number.isNaN(value)) return { error: `${key} must be a number` };
+    options[key] = value;
+  }
+  for (const key of ['activeAfter', 'activeBefore']) {
+    if (!query[key]) continue;
+    const value = new Date(query[key]);
+    if (Number.isNaN(value.getTime())) return { error: `${key} must be a date` };
+    options[key] = value;
+  }
+  for (const key of ['pendingReviews', 'overdue']) {
+    if (query[key] === undefined) continue;
+    if (!['true', 'false'].includes(query[key])) return { error: `${key} must be true or false` };
+    options[key] = query[key] === 'true';
+  }
+  if (query.search) options.search = String(query.search);
+  options.sortBy = query.sortBy || 'name';
+  if (!SORT_FIELDS[options.sortBy]) return { error: `sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  options.order = query.order === 'desc' ? 'desc' : 'asc';
+  options.page = Math.max(parseInt(query.page, 10) || 1, 1);
+  options.limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+  return { options };
+};
 
-    // Get skills for this course
-    const skills = await Skill.find({ course: req.params.id }).populate('tasks');
-    console.log('Skills found:', skills.length);
-    
-    // Get progress for all students in this course
-    const studentProgress = await Progress.find({ course: req.params.id })
-      .populate('user', 'email name')
-      .populate({
-        path: 'taskProgress.task',
-        populate: {
-          path: 'skill',
-          select: 'name'
-        }
-      });
-    console.log('Student progress found:', studentProgress.length);
+// @route   GET /courses/:id/dashboard
+// @desc    Course dashboard for staff: course-wide stats and a paginated student list.
+//          Query: page, limit, sortBy (name|email|completion|rating|pendingReviews|lastActivity|overdue|late), order (asc|desc),
+//          search, minCompletion/maxCompletion, minRating/maxRating, pendingReviews (true|false), overdue (true|false),
+//          activeAfter/activeBefore. Students carry overdueTasks (deadline passed, nothing handed in) and lateTasks.
+// @access  Private (Course staff)
+router.get('/:id/dashboard', protect, async (req, res) => {
+  const { options, error } = parseDashboardQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'viewProgress')) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
 
-    // Calculate statistics
-    const totalTasks = skills.reduce((sum, skill) => sum + (skill.tasks ? skill.tasks.length : 0), 0);
-    const totalStudents = course.students ? course.students.length : 0;
-    
-    console.log('Total tasks:', totalTasks);
-    console.log('Total students:', totalStudents);
-    
-    // Filter out coaches from the students list
-    const filteredStudents = (course.students || []).filter(student => student.role !== 'coach');
-    const totalStudentsFiltered = filteredStudents.length;
-
-    // Enhanced student data with progress details
-    const studentsWithProgress = await Promise.all(filteredStudents.map(async student => {
-      const progress = studentProgress.find(p => p.user && p.user._id.toString() === student._id.toString());
-      let completedTasksCount = 0;
-      let totalTasksForStudent = totalTasks;
-      if (progress) {
-        // Recalculate completedTasksCount and totalTasks for this student
-        completedTasksCount = progress.completedTasks ? progress.completedTasks.length : 0;
-        // Find all skills for the course and count all tasks
-        const skillsForCourse = await Skill.find({ course: req.params.id }).populate('tasks');
-        const allTasks = skillsForCourse.flatMap(skill => skill.tasks.map(task => task._id));
-        totalTasksForStudent = allTasks.length;
-      }
-      if (!progress) {
-        return {
-          ...student.toObject(),
-          progress: {
-            completedTasks: 0,
-            totalTasks: totalTasks,
-            completionPercentage: 0,
-            averageRating: 0,
-            lastActivity: null,
-            pendingReviews: 0,
-            taskProgress: []
-          }
-        };
-      }
-      // Safely calculate pending reviews
-      const pendingReviews = progress.taskProgress ? 
-        progress.taskProgress.filter(tp => tp.submittedForReview && !tp.coachRating).length : 0;
-      return {
-        ...student.toObject(),
-        progress: {
-          completedTasks: completedTasksCount,
-          totalTasks: totalTasksForStudent,
-          completionPercentage: totalTasksForStudent > 0 ? Math.round((completedTasksCount / totalTasksForStudent) * 100) : 0,
-          averageRating: progress.getAverageRating ? progress.getAverageRating() : 0,
-          lastActivity: progress.lastActivity || null,
-          pendingReviews: pendingReviews,
-          taskProgress: progress.taskProgress || []
-        }
-      };
-    }));
-
-    // Course statistics
-    const courseStats = {
-      totalStudents: totalStudentsFiltered,
-      totalTasks,
-      averageCompletion: totalStudentsFiltered > 0 ? 
-        Math.round(studentsWithProgress.reduce((sum, s) => sum + (s.progress.completionPercentage || 0), 0) / totalStudentsFiltered) : 0,
-      averageRating: totalStudentsFiltered > 0 ? 
-        Math.round(studentsWithProgress.reduce((sum, s) => sum + (s.progress.averageRating || 0), 0) / totalStudentsFiltered * 10) / 10 : 0,
-      pendingReviews: studentsWithProgress.reduce((sum, s) => sum + (s.progress.pendingReviews || 0), 0)
-    };
-    
-    console.log('Dashboard response prepared successfully');
-    res.json({ 
-      course, 
-      students: studentsWithProgress,
-      skills: skills,
-      stats: courseStats
+    const skills = await Skill.find({ course: course._id }).populate('tasks');
+    // Only tasks students can see count, as in their own progress
+    const totalTasks = await countReleasedTasks(course._id);
+    const { students, stats, pagination } = await buildDashboard(course, totalTasks, options);
+
+    const courseData = course.toObject();
+    if (!hasCoursePermission(course, req.user._id, 'manageEnrollment')) {
+      PRIVATE_COURSE_FIELDS.forEach(field => delete courseData[field]);
+    }
+    res.json({
+      course: courseData,
+      students,
+      skills,
+      stats,
+      pagination
     });
   } catch (error) {
     console.error('Dashboard error:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ message: 'Server Error: ' + error.message });
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /courses/:id/gradebook
+// @desc    Download the gradebook: one row per student, one column per task.
+//          Query: format (csv|xlsx, default csv), skillId, from and to (dates limiting which task work counts)
+// @access  Private (Course staff)
+router.get('/:id/gradebook', protect, async (req, res) => {
+  const { format = 'csv', skillId } = req.query;
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ message: 'format must be csv or xlsx' });
+  }
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    return res.status(400).json({ message: 'from and to must be valid dates' });
+  }
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'viewProgress')) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    if (skillId && !course.skills.some(id => id.toString() === skillId)) {
+      return res.status(404).json({ message: 'Skill not found in this course' });
+    }
+
+    const gradebook = await buildGradebook(course, { skillId, from, to });
+    const filename = `${course.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'course'}-gradebook.${format}`;
+    res.attachment(filename);
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(Buffer.from(await gradebookToXlsx(gradebook, course.name)));
+    }
+    res.type('text/csv');
+    res.send(gradebookToCsv(gradebook));
+  } catch (error) {
+    console.error('Gradebook export error:', error);
+    res.status(500).json({ message: 'Server Error' });
   }
 });
 
 // @route   POST /courses/:id/rate-task
 // @desc    Rate a student's task completion
-// @access  Private (Coach - owner only)
-router.post('/:id/rate-task', protect, coach, async (req, res) => {
+// @access  Private (Course staff)
+router.post('/:id/rate-task', protect, async (req, res) => {
   try {
     const { studentId, taskId, rating, feedback } = req.body;
     
@@ -418,8 +1096,7 @@ router.post('/:id/rate-task', protect, coach, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if the logged-in user is the coach of this course
-    if (course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'grade')) {
       return res.status(401).json({ message: 'Not authorized to rate tasks in this course' });
     }
 
@@ -453,9 +1130,26 @@ router.post('/:id/rate-task', protect, coach, async (req, res) => {
 
     await progress.save();
 
+    // A re-rating supersedes the previous rating's XP rather than adding to it;
+    // a new rating can also satisfy rating-based badge rules for the student
+    const ratedAt = progress.taskProgress[taskProgressIndex].coachRatedAt;
+    const gamification = await processProgressEvent({
+      userId: studentId,
+      courseId: course._id,
+      createdBy: req.user._id,
+      reverse: [{ task: taskId, source: 'coach_rating', reason: 'Task re-rated' }],
+      xp: [{
+        source: 'coach_rating',
+        amount: rating * XP_REWARDS.coachRatingPerStar,
+        sourceKey: `coach_rating:${studentId}:${taskId}:${ratedAt.getTime()}`,
+        task: taskId,
+      }],
+    });
+
     res.json({ 
       message: 'Task rated successfully',
-      taskProgress: progress.taskProgress[taskProgressIndex]
+      taskProgress: progress.taskProgress[taskProgressIndex],
+      ...gamification
     });
   } catch (error) {
     console.error('Task rating error:', error);
@@ -465,16 +1159,15 @@ router.post('/:id/rate-task', protect, coach, async (req, res) => {
 
 // @route   GET /courses/:id/student/:studentId/progress
 // @desc    Get detailed progress for a specific student
-// @access  Private (Coach - owner only)
-router.get('/:id/student/:studentId/progress', protect, coach, async (req, res) => {
+// @access  Private (Course staff)
+router.get('/:id/student/:studentId/progress', protect, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if the logged-in user is the coach of this course
-    if (course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'viewProgress')) {
       return res.status(401).json({ message: 'Not authorized' });
     }
 
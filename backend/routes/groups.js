@@ -1,7 +1,10 @@
 const router = require('express').Router();
+const mongoose = require('mongoose');
 const Group = require('../models/group.model');
 const User = require('../models/user.model');
 const { protect } = require('../middleware/authMiddleware');
+const { WINDOWS, windowStart } = require('../utils/leaderboard');
+const { scoreGroup } = require('../utils/teamScoring');
 
 // Create a new group
 router.post('/create', protect, async (req, res) => {
@@ -259,4 +262,37 @@ router.delete('/:groupId/video/:videoId', protect, async (req, res) => {
   }
 });
 
+// Group score: members' XP summed and averaged over a window (?window=weekly|monthly|all).
+// Only for the group's members, creator and coach.
+router.get('/:groupId/score', protect, async (req, res) => {
+  const window = req.query.window || 'all';
+  if (!WINDOWS.includes(window)) {
+    return res.status(400).json({ message: `window must be one of: ${WINDOWS.join(', ')}` });
+  }
+  if (!mongoose.isValidObjectId(req.params.groupId)) {
+    return res.status(400).json({ message: 'Invalid group id' });
+  }
+  try {
+    const group = await Group.findById(req.params.groupId).populate('members', 'name role');
+    if (!group) return res.status(404).json({ message: 'Group not found' });
+    const userId = req.user._id.toString();
+    const canSeeMembers = group.creator.toString() === userId || (group.coach && group.coach.toString() === userId);
+    if (!canSeeMembers && !group.members.some(m => m._id.toString() === userId)) {
+      return res.status(403).json({ message: 'Only group members can view the group score' });
+    }
+    const score = await scoreGroup(group, { since: windowStart(window) });
+    res.json({
+      group: { _id: group._id, name: group.name },
+      window,
+      total: score.total,
+      average: score.average,
+      memberCount: score.memberCount,
+      members: canSeeMembers ? score.members : undefined,
+    });
+  } catch (err) {
+    console.error('Group score error:', err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,101 @@
+const router = require('express').Router();
+const { protect } = require('../middleware/authMiddleware');
+const Course = require('../models/course.model');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const { WINDOWS, buildLeaderboard } = require('../utils/leaderboard');
+const { isCourseStaff } = require('../utils/courseAccess');
+
+const MEMBER_FIELDS = 'name role leaderboardOptOut';
+
+// Parse ?window=&page=&limit=&around= with sane bounds
+const parseOptions = (query) => {
+  const window = query.window || 'all';
+  if (!WINDOWS.includes(window)) return null;
+  return {
+    window,
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20)),
+    around: Math.min(10, Math.max(0, parseInt(query.around, 10) || 2)),
+  };
+};
+
+const invalidWindow = (res) => res.status(400).json({ message: `window must be one of: ${WINDOWS.join(', ')}` });
+
+// @route   GET /leaderboard/course/:courseId
+// @desc    Rank a course's students by XP earned in that course
+// @access  Private (enrolled students and course staff)
+router.get('/course/:courseId', protect, async (req, res) => {
+  const options = parseOptions(req.query);
+  if (!options) return invalidWindow(res);
+  try {
+    const course = await Course.findById(req.params.courseId).populate('students', MEMBER_FIELDS);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const isStaff = isCourseStaff(course, req.user._id);
+    const isStudent = course.students.some(s => s._id.toString() === req.user._id.toString());
+    if (!isStaff && !isStudent) {
+      return res.status(403).json({ message: 'You must be enrolled in this course to view its leaderboard' });
+    }
+    const members = course.students.filter(s => s.role !== 'coach');
+    const leaderboard = await buildLeaderboard(members, req.user._id, { ...options, course: course._id });
+    res.json({ scope: { type: 'course', _id: course._id, name: course.name }, ...leaderboard });
+  } catch (error) {
+    console.error('Course leaderboard error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /leaderboard/group/:groupId
+// @desc    Rank a group's members by XP
+// @access  Private (group members, creator and coach)
+router.get('/group/:groupId', protect, async (req, res) => {
+  const options = parseOptions(req.query);
+  if (!options) return invalidWindow(res);
+  try {
+    const group = await Group.findById(req.params.groupId).populate('members', MEMBER_FIELDS);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    const userId = req.user._id.toString();
+    const allowed = group.members.some(m => m._id.toString() === userId)
+      || group.creator.toString() === userId
+      || (group.coach && group.coach.toString() === userId);
+    if (!allowed) {
+      return res.status(403).json({ message: 'Only group members can view this leaderboard' });
+    }
+    const members = group.members.filter(m => m.role !== 'coach');
+    const leaderboard = await buildLeaderboard(members, req.user._id, options);
+    res.json({ scope: { type: 'group', _id: group._id, name: group.name }, ...leaderboard });
+  } catch (error) {
+    console.error('Group leaderboard error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /leaderboard/section
+// @desc    Rank the students of a legacy group/section (defaults to the caller's own)
+// @access  Private (coaches may view any group/section)
+router.get('/section', protect, async (req, res) => {
+  const options = parseOptions(req.query);
+  if (!options) return invalidWindow(res);
+  const group = req.query.group || req.user.group;
+  const section = req.query.section || req.user.section;
+  if (!group || !section) {
+    return res.status(400).json({ message: 'Group and section are required' });
+  }
+  if (req.user.role !== 'coach' && (group !== req.user.group || section !== req.user.section)) {
+    return res.status(403).json({ message: 'You can only view your own group/section leaderboard' });
+  }
+  try {
+    const members = await User.find({ group, section, role: 'student' }).select(MEMBER_FIELDS);
+    const leaderboard = await buildLeaderboard(members, req.user._id, options);
+    res.json({ scope: { type: 'section', group, section }, ...leaderboard });
+  } catch (error) {
+    console.error('Section leaderboard error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
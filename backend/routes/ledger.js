@@ -0,0 +1,120 @@
+const router = require('express').Router();
+const crypto = require('crypto');
+const { protect, coach } = require('../middleware/authMiddleware');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const Course = require('../models/course.model');
+const { hasCoursePermission } = require('../utils/courseAccess');
+const { awardXp, reverseEntry, getXpTotal } = require('../utils/xpLedger');
+
+// Coaches may only touch course-scoped entries of courses they hold `permission` on.
+// Global (course-less) entries belong to no course staff, so nobody may change them here.
+const canManageCourseEntries = async (courseId, userId, permission = 'manageRewards') => {
+  if (!courseId) return false;
+  const course = await Course.findById(courseId);
+  return hasCoursePermission(course, userId, permission);
+};
+
+// @route   GET /ledger/me
+// @desc    Get the logged-in user's XP ledger and total
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.courseId) filter.course = req.query.courseId;
+    const entries = await LedgerEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('course', 'name')
+      .populate('task', 'title')
+      .populate('badge', 'title icon');
+    const total = await getXpTotal(req.user._id, { course: req.query.courseId });
+    res.json({ total, entries });
+  } catch (error) {
+    console.error('Ledger fetch error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /ledger/user/:userId
+// @desc    Get a student's XP ledger for one of the user's courses
+// @access  Private (Course staff)
+router.get('/user/:userId', protect, async (req, res) => {
+  const { courseId } = req.query;
+  if (!courseId) {
+    return res.status(400).json({ message: 'courseId is required' });
+  }
+  try {
+    if (!(await canManageCourseEntries(courseId, req.user._id, 'viewProgress'))) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    const entries = await LedgerEntry.find({ user: req.params.userId, course: courseId })
+      .sort({ createdAt: -1 })
+      .populate('task', 'title')
+      .populate('badge', 'title icon')
+      .populate('createdBy', 'name');
+    const total = await getXpTotal(req.params.userId, { course: courseId });
+    res.json({ total, entries });
+  } catch (error) {
+    console.error('Ledger fetch error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /ledger/bonus
+// @desc    Grant a student bonus XP in a course
+// @access  Private (Coach - owner only)
+router.post('/bonus', protect, coach, async (req, res) => {
+  const { userId, courseId, amount, reason } = req.body;
+  if (!userId || !courseId || !Number.isFinite(Number(amount)) || Number(amount) === 0) {
+    return res.status(400).json({ message: 'userId, courseId and a non-zero amount are required' });
+  }
+  try {
+    if (!(await canManageCourseEntries(courseId, req.user._id))) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    const course = await Course.findById(courseId).select('students');
+    if (!course.students.some(id => id.toString() === String(userId))) {
+      return res.status(400).json({ message: 'The user is not enrolled in this course' });
+    }
+    const entry = await awardXp({
+      user: userId,
+      course: courseId,
+      source: 'bonus',
+      amount: Number(amount),
+      sourceKey: `bonus:${crypto.randomUUID()}`,
+      reason,
+      createdBy: req.user._id,
+    });
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Bonus XP error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /ledger/:entryId/reverse
+// @desc    Reverse a ledger entry by appending its negation
+// @access  Private (Coach - owner only)
+router.post('/:entryId/reverse', protect, coach, async (req, res) => {
+  try {
+    const entry = await LedgerEntry.findById(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Ledger entry not found' });
+    }
+    if (!(await canManageCourseEntries(entry.course, req.user._id))) {
+      return res.status(401).json({ message: 'Not authorized to reverse this entry' });
+    }
+    if (entry.source === 'reversal') {
+      return res.status(400).json({ message: 'A reversal entry cannot be reversed' });
+    }
+    const reversal = await reverseEntry(entry, { createdBy: req.user._id, reason: req.body.reason });
+    if (!reversal) {
+      return res.status(409).json({ message: 'This entry has already been reversed' });
+    }
+    res.status(201).json(reversal);
+  } catch (error) {
+    console.error('Ledger reversal error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const router = require('express').Router();
+const { protect, coach, admin } = require('../middleware/authMiddleware');
+const LevelConfig = require('../models/levelConfig.model');
+const Course = require('../models/course.model');
+const { getLevelConfig, getLevelStatus } = require('../utils/levels');
+const { hasCoursePermission } = require('../utils/courseAccess');
+
+// Save thresholds/tiers for a scope (course or global), creating the config if needed
+const saveConfig = async (courseId, { thresholds, tiers }) => {
+  const config = (await LevelConfig.findOne({ course: courseId })) || new LevelConfig({ course: courseId });
+  if (thresholds !== undefined) config.thresholds = thresholds;
+  if (tiers !== undefined) config.tiers = tiers;
+  return config.save();
+};
+
+// @route   GET /levels/me
+// @desc    Get the logged-in user's global level (and course level with ?courseId=)
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const status = await getLevelStatus(req.user._id, req.query.courseId);
+    res.json(status);
+  } catch (error) {
+    console.error('Level status error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET /levels/config
+// @desc    Get the level config in effect globally or for ?courseId=
+// @access  Private
+router.get('/config', protect, async (req, res) => {
+  try {
+    const config = await getLevelConfig(req.query.courseId);
+    res.json(config);
+  } catch (error) {
+    console.error('Level config error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT /levels/config
+// @desc    Update the global level config; coaches configure their own courses instead
+// @access  Private (Admin)
+router.put('/config', protect, admin, async (req, res) => {
+  try {
+    const config = await saveConfig(null, req.body);
+    res.json(config);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Level config update error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT /levels/config/:courseId
+// @desc    Update a course's own level config
+// @access  Private (Course owner and co-coaches)
+router.put('/config/:courseId', protect, coach, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageCourse')) {
+      return res.status(401).json({ message: 'Not authorized to configure levels for this course' });
+    }
+    const config = await saveConfig(course._id, req.body);
+    res.json(config);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Level config update error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /levels/config/:courseId
+// @desc    Remove a course's own level config so the global one applies again
+// @access  Private (Course owner and co-coaches)
+router.delete('/config/:courseId', protect, coach, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!hasCoursePermission(course, req.user._id, 'manageCourse')) {
+      return res.status(401).json({ message: 'Not authorized to configure levels for this course' });
+    }
+    await LevelConfig.deleteOne({ course: course._id });
+    res.json({ message: 'Course level config removed' });
+  } catch (error) {
+    console.error('Level config delete error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
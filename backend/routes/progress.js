@@ -1,16 +1,39 @@
 const router = require('express').Router();
 const Progress = require('../models/progress.model');
 const { protect } = require('../middleware/authMiddleware');
-const Student = require('../models/student.model');
-const Badge = require('../models/badge.model');
 const Skill = require('../models/skill.model');
 const Task = require('../models/task.model');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Course = require('../models/course.model');
-const User = require('../models/user.model');
-const { coach } = require('../middleware/authMiddleware');
+const { processProgressEvent } = require('../utils/gamification');
+const { hasCoursePermission } = require('../utils/courseAccess');
+const { findLockedSkill, findBlockingTask } = require('../utils/skillTree');
+const { isTaskAvailable, countReleasedTasks } = require('../utils/release');
+const { findTaskCourse, findOrCreateProgress, taskProgressEntry, completeTask } = require('../utils/taskCompletion');
+const { isEnrolled } = require('../utils/enrollment');
+const { DEADLINE_FIELDS, applyLateness, findClosedTask } = require('../utils/deadlines');
+const { removeUpload } = require('../middleware/uploadMiddleware');
+
+const unreleasedTaskResponse = (res) => res.status(403).json({ message: 'This task has not been released yet' });
+
+const notEnrolledResponse = (res) => res.status(403).json({ message: 'Enroll in the course to work on its tasks' });
+
+const lockedSkillResponse = (res, skill) => res.status(403).json({
+  message: `"${skill.title}" is locked until its prerequisite skills are completed`,
+  skill: { _id: skill._id, title: skill.title, prerequisites: skill.prerequisites },
+});
+
+const blockedTaskResponse = (res, task) => res.status(403).json({
+  message: `Finish "${task.title}" first; this skill's tasks have to be done in order`,
+  task: { _id: task._id, title: task.title },
+});
+
+const closedTaskResponse = (res, task) => res.status(403).json({
+  message: `The deadline for "${task.title}" has passed and late work is not accepted`,
+  task: { _id: task._id, title: task.title },
+});
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -31,62 +54,41 @@ const upload = multer({
 // @route   POST /progress/complete-task
 // @desc    Mark a task as completed for a user
 router.post('/complete-task', protect, async (req, res) => {
-  const { taskId, courseId } = req.body;
+  const { taskId } = req.body;
   const userId = req.user._id;
 
   try {
-    // Find the progress document for the user and course, or create if it doesn't exist
-    let progress = await Progress.findOne({
-      user: userId,
-      course: courseId,
-    });
-
-    if (!progress) {
-      progress = new Progress({
-        user: userId,
-        course: courseId,
-        completedTasks: [],
-      });
+    // The course comes from the task, not the request
+    const course = await findTaskCourse(taskId);
+    if (!course) {
+      return res.status(404).json({ message: 'Task not found' });
     }
-
-    // Add the task to the completedTasks array if it's not already there
-    if (!progress.completedTasks.includes(taskId)) {
-      progress.completedTasks.push(taskId);
+    if (!isEnrolled(course, userId)) {
+      return notEnrolledResponse(res);
+    }
+    if (!(await isTaskAvailable(taskId))) {
+      return unreleasedTaskResponse(res);
+    }
+    const lockedSkill = await findLockedSkill(taskId, userId);
+    if (lockedSkill) {
+      return lockedSkillResponse(res, lockedSkill);
+    }
+    const blockingTask = await findBlockingTask(taskId, userId);
+    if (blockingTask) {
+      return blockedTaskResponse(res, blockingTask);
+    }
+    const closedTask = await findClosedTask(taskId, userId);
+    if (closedTask) {
+      return closedTaskResponse(res, closedTask);
     }
 
-    // Recalculate completedTasksCount and totalTasks
-    progress.completedTasksCount = progress.completedTasks.length;
-    // Find all skills for the course and count all tasks
-    const skills = await Skill.find({ course: courseId }).populate('tasks');
-    const allTasks = skills.flatMap(skill => skill.tasks.map(task => task._id));
-    progress.totalTasks = allTasks.length;
-
-    const savedProgress = await progress.save();
-    console.log('Progress after marking complete:', savedProgress);
-
-    // --- Badge awarding logic ---
-    // Find the student profile
-    const student = await Student.findOne({ name: req.user.name });
-    let newBadges = [];
-    if (student) {
-      // Example: Award a badge for completing 5 tasks
-      const completedCount = await Progress.aggregate([
-        { $match: { user: userId } },
-        { $unwind: '$completedTasks' },
-        { $group: { _id: null, count: { $sum: 1 } } }
-      ]);
-      const totalCompleted = completedCount[0]?.count || 0;
-      // Find the badge for 'Complete 5 Tasks'
-      const badge = await Badge.findOne({ criteria: 'Complete 5 tasks' });
-      if (badge && totalCompleted >= 5 && !student.badges.includes(badge._id)) {
-        student.badges.push(badge._id);
-        await student.save();
-        newBadges.push(badge);
-      }
+    const task = await Task.findById(taskId).select('type');
+    if (task && task.type === 'quiz') {
+      return res.status(400).json({ message: 'Quiz tasks are completed by passing the quiz' });
     }
-    // --- End badge logic ---
 
-    res.status(201).json({ progress: savedProgress, newBadges });
+    const { progress: savedProgress, gamification } = await completeTask({ userId, taskId });
+    res.status(201).json({ progress: savedProgress, ...gamification });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
@@ -104,9 +106,7 @@ router.get('/:courseId', protect, async (req, res) => {
     // Always recalculate completedTasksCount and totalTasks
     if (progress) {
       progress.completedTasksCount = progress.completedTasks.length;
-      const skills = await Skill.find({ course: req.params.courseId }).populate('tasks');
-      const allTasks = skills.flatMap(skill => skill.tasks.map(task => task._id));
-      progress.totalTasks = allTasks.length;
+      progress.totalTasks = await countReleasedTasks(req.params.courseId);
       await progress.save();
     }
     console.log('Progress fetched for user:', req.user._id, 'course:', req.params.courseId, progress);
@@ -133,22 +133,49 @@ router.get('/:courseId', protect, async (req, res) => {
 // @desc    Student uploads files for a task
 // @access  Private (Student)
 router.post('/submit-task', protect, upload.array('studentFiles', 10), async (req, res) => {
-  const { taskId, courseId } = req.body;
+  const { taskId } = req.body;
   const userId = req.user._id;
   if (!req.files || req.files.length === 0) {
     return res.status(400).json({ message: 'At least one file is required.' });
   }
   try {
-    let progress = await Progress.findOne({ user: userId, course: courseId });
-    if (!progress) {
-      progress = new Progress({ user: userId, course: courseId, completedTasks: [] });
+    // The course comes from the task, not the request
+    const course = await findTaskCourse(taskId);
+    if (!course) {
+      req.files.forEach(file => removeUpload('uploads/' + file.filename));
+      return res.status(404).json({ message: 'Task not found' });
     }
-    // Find or create the taskProgress entry
-    let tp = progress.taskProgress.find(tp => tp.task.toString() === taskId);
-    if (!tp) {
-      tp = { task: taskId, studentUploads: [] };
-      progress.taskProgress.push(tp);
+    if (!isEnrolled(course, userId)) {
+      req.files.forEach(file => removeUpload('uploads/' + file.filename));
+      return notEnrolledResponse(res);
+    }
+    const courseId = course._id;
+    if (!(await isTaskAvailable(taskId))) {
+      req.files.forEach(file => removeUpload('uploads/' + file.filename));
+      return unreleasedTaskResponse(res);
+    }
+    const lockedSkill = await findLockedSkill(taskId, userId);
+    if (lockedSkill) {
+      req.files.forEach(file => removeUpload('uploads/' + file.filename));
+      return lockedSkillResponse(res, lockedSkill);
+    }
+    const blockingTask = await findBlockingTask(taskId, userId);
+    if (blockingTask) {
+      req.files.forEach(file => removeUpload('uploads/' + file.filename));
+      return blockedTaskResponse(res, blockingTask);
+    }
+    const closedTask = await findClosedTask(taskId, userId);
+    if (closedTask) {
+      req.files.forEach(file => removeUpload('uploads/' + file.filename));
+      return closedTaskResponse(res, closedTask);
     }
+    const task = await Task.findById(taskId).select(`type ${DEADLINE_FIELDS}`);
+    if (task.type === 'quiz') {
+      req.files.forEach(file => removeUpload('uploads/' + file.filename));
+      return res.status(400).json({ message: 'Quiz tasks are completed by passing the quiz' });
+    }
+    const progress = await findOrCreateProgress(userId, courseId);
+    const tp = taskProgressEntry(progress, taskId);
     // Add uploaded files
     req.files.forEach(file => {
       tp.studentUploads = tp.studentUploads || [];
@@ -160,8 +187,31 @@ router.post('/submit-task', protect, upload.array('studentFiles', 10), async (re
     });
     tp.submittedForReview = true;
     tp.submittedAt = new Date();
+    // A resubmission is judged by its own time
+    applyLateness(tp, task, userId, tp.submittedAt);
+    progress.lastActivity = tp.submittedAt;
     await progress.save();
-    res.status(201).json({ message: 'Files uploaded and submitted for review.', progress });
+    const gamification = await processProgressEvent({ userId, courseId, activity: true });
+    res.status(201).json({ message: 'Files uploaded and submitted for review.', progress, ...gamification });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /progress/watch-task
+// @desc    Record that the student opened/watched a task's content (counts towards their streak)
+// @access  Private (Student)
+router.post('/watch-task', protect, async (req, res) => {
+  const { taskId, courseId } = req.body;
+  const userId = req.user._id;
+  if (!taskId || !courseId) {
+    return res.status(400).json({ message: 'taskId and courseId are required.' });
+  }
+  try {
+    await Progress.updateOne({ user: userId, course: courseId }, { lastActivity: new Date() });
+    const gamification = await processProgressEvent({ userId, courseId, activity: true });
+    res.json({ message: 'Activity recorded', ...gamification });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
@@ -169,14 +219,14 @@ router.post('/submit-task', protect, upload.array('studentFiles', 10), async (re
 });
 
 // @route   GET /progress/submissions/:courseId
-// @desc    Coach views all student submissions for a course
-// @access  Private (Coach)
+// @desc    Course staff view all student submissions for a course
+// @access  Private (Course staff)
 router.get('/submissions/:courseId', protect, async (req, res) => {
   const { courseId } = req.params;
   const userId = req.user._id;
   try {
     const course = await Course.findById(courseId);
-    if (!course || course.coach.toString() !== userId.toString()) {
+    if (!hasCoursePermission(course, userId, 'viewProgress')) {
       return res.status(403).json({ message: 'Not authorized' });
     }
     // Get all progress docs for this course
@@ -214,11 +264,16 @@ router.patch('/:courseId/mark-seen', protect, async (req, res) => {
 });
 
 // @route   GET /progress/:courseId/student/:studentId
-// @desc    Coach views a specific student's progress (tasks) for a course
-// @access  Private (Coach)
-router.get('/:courseId/student/:studentId', protect, coach, async (req, res) => {
+// @desc    Course staff view a specific student's progress (tasks) for a course
+// @access  Private (Course staff)
+router.get('/:courseId/student/:studentId', protect, async (req, res) => {
   const { courseId, studentId } = req.params;
   try {
+    const course = await Course.findById(courseId);
+    if (!hasCoursePermission(course, req.user._id, 'viewProgress')) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
     // Get all skills and tasks for the course
     const skills = await Skill.find({ course: courseId }).populate('tasks');
     const allTasks = skills.flatMap(skill => skill.tasks.map(task => ({
@@ -270,17 +325,9 @@ router.post('/rate-task', protect, async (req, res) => {
     if (!tp) {
       return res.status(404).json({ message: 'Task progress not found.' });
     }
+    // Self-ratings are feedback only; they never change the student's XP
     tp.studentRating = rating;
     await progress.save();
-    // Optionally, update the student's score in the Student model
-    const user = await User.findById(userId);
-    if (user && user.studentProfile) {
-      const student = await Student.findById(user.studentProfile);
-      if (student) {
-        student.score = (student.score || 0) + rating;
-        await student.save();
-      }
-    }
     res.json({ message: 'Task rated successfully', taskProgress: tp });
   } catch (error) {
     console.error('Student task rating error:', error);
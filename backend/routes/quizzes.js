@@ -0,0 +1,238 @@
+const router = require('express').Router();
+const { protect } = require('../middleware/authMiddleware');
+const Task = require('../models/task.model');
+const Skill = require('../models/skill.model');
+const Course = require('../models/course.model');
+const QuizAttempt = require('../models/quizAttempt.model');
+const { hasCoursePermission } = require('../utils/courseAccess');
+const { isEnrolled } = require('../utils/enrollment');
+const { isTaskAvailable } = require('../utils/release');
+const { findLockedSkill, findBlockingTask } = require('../utils/skillTree');
+const { ANSWER_KEY, SUBMIT_GRACE_MS, studentQuiz, gradeQuiz, attemptTimedOut } = require('../utils/quiz');
+const { findOrCreateProgress, taskProgressEntry, completeTask } = require('../utils/taskCompletion');
+const { processProgressEvent } = require('../utils/gamification');
+const { isClosed } = require('../utils/deadlines');
+
+// A quiz task with its skill and course, or null. The answer key is only loaded when asked for.
+const loadQuiz = async (taskId, { withKey = false } = {}) => {
+  const query = Task.findById(taskId);
+  if (withKey) query.select(ANSWER_KEY);
+  const task = await query;
+  if (!task || task.type !== 'quiz' || !task.quiz) return null;
+  const skill = await Skill.findById(task.skill);
+  const course = skill ? await Course.findById(skill.course) : null;
+  return course ? { task, skill, course } : null;
+};
+
+// Whether the student may take the quiz now; sends the error response and returns false otherwise
+const checkCanTake = async (res, { task, course }, userId) => {
+  if (!isEnrolled(course, userId)) {
+    res.status(403).json({ message: 'Enroll in the course to take this quiz' });
+    return false;
+  }
+  if (!(await isTaskAvailable(task._id))) {
+    res.status(403).json({ message: 'This task has not been released yet' });
+    return false;
+  }
+  const lockedSkill = await findLockedSkill(task._id, userId);
+  if (lockedSkill) {
+    res.status(403).json({
+      message: `"${lockedSkill.title}" is locked until its prerequisite skills are completed`,
+      skill: { _id: lockedSkill._id, title: lockedSkill.title, prerequisites: lockedSkill.prerequisites },
+    });
+    return false;
+  }
+  const blockingTask = await findBlockingTask(task._id, userId);
+  if (blockingTask) {
+    res.status(403).json({
+      message: `Finish "${blockingTask.title}" first; this skill's tasks have to be done in order`,
+      task: { _id: blockingTask._id, title: blockingTask.title },
+    });
+    return false;
+  }
+  if (isClosed(task, userId)) {
+    res.status(403).json({ message: `The deadline for "${task.title}" has passed and late work is not accepted` });
+    return false;
+  }
+  return true;
+};
+
+// In-progress attempts past their time limit can no longer be submitted
+const expireTimedOutAttempts = (userId, taskId) => QuizAttempt.updateMany(
+  { user: userId, task: taskId, status: 'inProgress', expiresAt: { $ne: null, $lt: new Date(Date.now() - SUBMIT_GRACE_MS) } },
+  { status: 'expired' }
+);
+
+const attemptSummary = (attempt) => ({
+  _id: attempt._id,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  expiresAt: attempt.expiresAt,
+  submittedAt: attempt.submittedAt,
+  score: attempt.score,
+  maxScore: attempt.maxScore,
+  percentage: attempt.percentage,
+  passed: attempt.passed,
+});
+
+// @route   GET /quizzes/:taskId
+// @desc    A quiz task's questions and the student's attempts. Staff who can edit the course also get the answer key.
+// @access  Private
+router.get('/:taskId', protect, async (req, res) => {
+  try {
+    const found = await loadQuiz(req.params.taskId);
+    if (!found) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    if (hasCoursePermission(found.course, req.user._id, 'editContent')) {
+      const withKey = await loadQuiz(req.params.taskId, { withKey: true });
+      return res.json({ task: withKey.task });
+    }
+    if (!(await checkCanTake(res, found, req.user._id))) return;
+
+    await expireTimedOutAttempts(req.user._id, found.task._id);
+    const attempts = await QuizAttempt.find({ user: req.user._id, task: found.task._id }).sort({ startedAt: 1 });
+    const { maxAttempts } = found.task.quiz;
+    res.json({
+      task: { _id: found.task._id, title: found.task.title, skill: found.task.skill, deadline: found.task.deadline },
+      quiz: studentQuiz(found.task.quiz),
+      attempts: attempts.map(attemptSummary),
+      attemptsLeft: maxAttempts ? Math.max(maxAttempts - attempts.length, 0) : null,
+      bestScore: attempts.reduce((best, a) => (a.status === 'submitted' ? Math.max(best, a.percentage) : best), 0),
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    console.error('Quiz fetch error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /quizzes/:taskId/attempts
+// @desc    Start an attempt (or resume the one in progress). The time limit starts now.
+// @access  Private (Enrolled student)
+router.post('/:taskId/attempts', protect, async (req, res) => {
+  try {
+    const found = await loadQuiz(req.params.taskId);
+    if (!found) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    if (!(await checkCanTake(res, found, req.user._id))) return;
+    const { task, course } = found;
+
+    await expireTimedOutAttempts(req.user._id, task._id);
+    const findCurrent = () => QuizAttempt.findOne({ user: req.user._id, task: task._id, status: 'inProgress' });
+    const current = await findCurrent();
+    if (current) {
+      return res.json({ attempt: attemptSummary(current), quiz: studentQuiz(task.quiz) });
+    }
+
+    // Every started attempt counts, including ones that ran out of time
+    const used = await QuizAttempt.countDocuments({ user: req.user._id, task: task._id });
+    if (task.quiz.maxAttempts && used >= task.quiz.maxAttempts) {
+      return res.status(403).json({ message: 'No attempts left for this quiz' });
+    }
+
+    const now = new Date();
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        user: req.user._id,
+        course: course._id,
+        task: task._id,
+        startedAt: now,
+        expiresAt: task.quiz.timeLimitMinutes ? new Date(now.getTime() + task.quiz.timeLimitMinutes * 60 * 1000) : null,
+      });
+    } catch (error) {
+      // A concurrent request started an attempt first (unique in-progress index); resume that one
+      const started = error.code === 11000 && await findCurrent();
+      if (!started) throw error;
+      return res.json({ attempt: attemptSummary(started), quiz: studentQuiz(task.quiz) });
+    }
+    res.status(201).json({ attempt: attemptSummary(attempt), quiz: studentQuiz(task.quiz) });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    console.error('Quiz attempt start error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST /quizzes/:taskId/attempts/:attemptId/submit
+// @desc    Submit answers ({ answers: [{ question, options: [index] } | { question, text }] }) for grading.
+//          The best score is recorded on the student's progress; a passing score completes the task.
+// @access  Private (Enrolled student)
+router.post('/:taskId/attempts/:attemptId/submit', protect, async (req, res) => {
+  const userId = req.user._id;
+  try {
+    const attempt = await QuizAttempt.findOne({ _id: req.params.attemptId, user: userId, task: req.params.taskId });
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+    if (attempt.status !== 'inProgress') {
+      return res.status(400).json({ message: 'This attempt has already been submitted' });
+    }
+    if (attemptTimedOut(attempt)) {
+      await QuizAttempt.updateOne({ _id: attempt._id, status: 'inProgress' }, { status: 'expired' });
+      attempt.status = 'expired';
+      return res.status(400).json({ message: 'The time limit for this attempt has passed', attempt: attemptSummary(attempt) });
+    }
+
+    const found = await loadQuiz(req.params.taskId, { withKey: true });
+    if (!found) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    if (!(await checkCanTake(res, found, userId))) return;
+    const { task, course } = found;
+
+    const graded = gradeQuiz(task.quiz, req.body.answers);
+    // Claim the attempt in the same write that submits it, so of two concurrent submits only one is graded
+    const submitted = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'inProgress' },
+      {
+        status: 'submitted',
+        submittedAt: new Date(),
+        answers: graded.answers,
+        score: graded.score,
+        maxScore: graded.maxScore,
+        percentage: graded.percentage,
+        passed: graded.passed,
+      },
+      { new: true }
+    );
+    if (!submitted) {
+      return res.status(400).json({ message: 'This attempt has already been submitted' });
+    }
+
+    const progress = await findOrCreateProgress(userId, course._id);
+    const tp = taskProgressEntry(progress, task._id);
+    tp.quizScore = Math.max(tp.quizScore || 0, graded.percentage);
+    let result;
+    if (graded.passed) {
+      result = await completeTask({ userId, taskId: task._id, progress });
+    } else {
+      progress.lastActivity = new Date();
+      await progress.save();
+      result = { progress, gamification: await processProgressEvent({ userId, courseId: course._id, activity: true }) };
+    }
+
+    res.json({
+      attempt: attemptSummary(submitted),
+      results: graded.results,
+      passed: graded.passed,
+      bestScore: tp.quizScore,
+      progress: result.progress,
+      ...result.gamification,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+    console.error('Quiz submit error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
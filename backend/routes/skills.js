@@ -1,48 +1,50 @@
 const router = require('express').Router();
-const multer = require('multer');
-const fs = require('fs');
 const path = require('path');
-const { protect, coach } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { protect, optionalAuth, coach } = require('../middleware/authMiddleware');
+const { contentUpload: upload, removeUpload } = require('../middleware/uploadMiddleware');
 const Skill = require('../models/skill.model');
 const Task = require('../models/task.model');
 const Course = require('../models/course.model');
-
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure multer for file storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
-  },
-});
-
-const upload = multer({ 
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    // Allow video and PDF files
-    if (file.mimetype.startsWith('video/') || file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only video and PDF files are allowed'), false);
-    }
-  }
-});
+const Progress = require('../models/progress.model');
+const { hasCoursePermission, isCourseStaff } = require('../utils/courseAccess');
+const { isReleased } = require('../utils/release');
+const { removeUnusedUploads, removeTaskFiles } = require('../utils/courseCopy');
+const { trashSkill, trashTask } = require('../utils/trash');
+const { normalizeQuiz } = require('../utils/quiz');
+const { normalizeLinks } = require('../utils/richText');
+const { isEnrolled } = require('../utils/enrollment');
+const { applyLateness } = require('../utils/deadlines');
+
+const TASK_TYPES = Task.schema.path('type').enumValues;
 
 // @route   GET /skills
 // @desc    Get all skills (can be filtered by course)
-router.get('/', (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   const { courseId } = req.query;
-  const filter = courseId ? { course: courseId } : {};
-  Skill.find(filter)
-    .then(skills => res.json(skills))
-    .catch(err => res.status(400).json('Error: ' + err));
+  // Public listing: only released skills of released courses; staff may list their unreleased course
+  const released = () => ({ status: { $ne: 'draft' }, $or: [{ releaseAt: null }, { releaseAt: { $lte: new Date() } }] });
+  const filter = released();
+  try {
+    if (courseId) {
+      const course = await Course.findById(courseId).select('coach staff status releaseAt');
+      const isStaff = !!req.user && isCourseStaff(course, req.user._id);
+      if (!course || (!isReleased(course) && !isStaff)) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+      filter.course = course._id;
+    } else {
+      const courses = await Course.find(released()).select('_id');
+      filter.course = { $in: courses.map(course => course._id) };
+    }
+    res.json(await Skill.find(filter));
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    console.error('Error fetching skills:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 // @route   POST /skills/add
@@ -50,7 +52,7 @@ router.get('/', (req, res) => {
 router.post('/add', protect, coach, async (req, res) => {
   console.log('Request body:', req.body); // Debug log
   
-  const { title, description, courseId } = req.body;
+  const { title, description, courseId, prerequisites, unlockCondition, sequential, status, releaseAt } = req.body;
 
   if (!title || !description || !courseId) {
     return res.status(400).json({ 
@@ -66,8 +68,8 @@ router.post('/add', protect, coach, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // 2. Check if the logged-in user is the coach of the course
-    if (course.coach.toString() !== req.user._id.toString()) {
+    // 2. Check if the logged-in user may edit the course content
+    if (!hasCoursePermission(course, req.user._id, 'editContent')) {
       return res.status(401).json({ message: 'User not authorized' });
     }
 
@@ -75,6 +77,11 @@ router.post('/add', protect, coach, async (req, res) => {
       title,
       description,
       course: courseId,
+      prerequisites: prerequisites || [],
+      unlockCondition,
+      sequential,
+      status,
+      releaseAt: releaseAt || null,
     });
 
     const savedSkill = await newSkill.save();
@@ -91,7 +98,7 @@ router.post('/add', protect, coach, async (req, res) => {
 });
 
 // @route   DELETE /api/skills/:skillId
-// @desc    Delete a skill
+// @desc    Move a skill and its tasks to the trash
 // @access  Private (Coach)
 router.delete('/:skillId', protect, coach, async (req, res) => {
   const { skillId } = req.params;
@@ -103,66 +110,107 @@ router.delete('/:skillId', protect, coach, async (req, res) => {
     }
 
     const course = await Course.findById(skill.course);
-    if (!course || course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'deleteContent')) {
       return res.status(401).json({ message: 'User not authorized' });
     }
     
-    // Remove tasks associated with the skill
-    await Task.deleteMany({ skill: skillId });
-
-    // Remove skill from course's skills array
-    await Course.updateOne({ _id: skill.course }, { $pull: { skills: skillId } });
+    // Skills depending on it keep the prerequisite (it is ignored while trashed) so a restore is complete
+    await trashSkill(skill, req.user._id);
 
-    // Delete the skill
-    await skill.deleteOne();
-
-    res.json({ message: 'Skill and associated tasks deleted successfully' });
+    res.json({ message: 'Skill and associated tasks moved to trash' });
   } catch (err) {
     console.error('Error deleting skill:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// latePolicy from a request body (an object, or JSON in multipart forms); undefined when absent, null when malformed
+const parseLatePolicy = (input) => {
+  if (input === undefined || input === '') return undefined;
+  if (typeof input !== 'string') return input && typeof input === 'object' ? input : null;
+  try {
+    const parsed = JSON.parse(input);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Uploaded files of a request that did not create or update a task
+const discardUploads = (files) => (files || []).forEach(file => removeUpload('uploads/' + file.filename));
+
 // @route   POST /skills/:skillId/tasks
-// @desc    Add a new task to a skill
+// @desc    Add a new task to a skill. `type` is required: video and pdf tasks need content files, text tasks
+//          instructions (Markdown, or HTML with instructionsFormat 'html') or a file, link tasks `links`
+//          and quiz tasks a `quiz` definition. Files are optional otherwise. latePolicy is { mode, penaltyPerDay, graceDays }.
+//          links, quiz and latePolicy are JSON in multipart forms.
 router.post('/:skillId/tasks', protect, coach, upload.array('taskContent', 10), async (req, res) => {
-  const { title, deadline } = req.body;
+  const { title, type, instructions, instructionsFormat, deadline, status, releaseAt } = req.body;
   const { skillId } = req.params;
-
-  if (!req.files || req.files.length === 0) {
-    return res.status(400).json({ message: 'At least one task content file is required.' });
-  }
+  const files = req.files || [];
+  const latePolicy = parseLatePolicy(req.body.latePolicy);
 
   if (!title) {
+    discardUploads(files);
     return res.status(400).json({ message: 'Task title is required.' });
   }
 
+  if (!TASK_TYPES.includes(type)) {
+    discardUploads(files);
+    return res.status(400).json({ message: `Task type must be one of: ${TASK_TYPES.join(', ')}` });
+  }
+
+  if (latePolicy === null) {
+    discardUploads(files);
+    return res.status(400).json({ message: 'latePolicy is not valid JSON' });
+  }
+
+  const { links, errors: linkErrors } = normalizeLinks(req.body.links);
+  if (linkErrors.length > 0) {
+    discardUploads(files);
+    return res.status(400).json({ message: 'Invalid links', errors: linkErrors });
+  }
+
+  let quiz;
+  if (type === 'quiz') {
+    const normalized = normalizeQuiz(req.body.quiz);
+    if (normalized.errors.length > 0) {
+      discardUploads(files);
+      return res.status(400).json({ message: 'Invalid quiz', errors: normalized.errors });
+    }
+    quiz = normalized.quiz;
+  }
+
   try {
     const skill = await Skill.findById(skillId);
     if (!skill) {
+      discardUploads(files);
       return res.status(404).json({ message: 'Skill not found' });
     }
 
-    // Check if the user is the coach of the course this skill belongs to
+    // Check if the user may edit the course this skill belongs to
     const course = await Course.findById(skill.course);
-    if (course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'editContent')) {
+      discardUploads(files);
       return res.status(401).json({ message: 'User not authorized' });
     }
 
-    // Determine task type based on the first file (assuming all files are same type)
-    const firstFile = req.files[0];
-    const taskType = firstFile.mimetype.startsWith('video/') ? 'video' : 
-                    (firstFile.mimetype === 'application/pdf' ? 'pdf' : 'text');
-
     // Extract file paths from all uploaded files
-    const contentUrls = req.files.map(file => 'uploads/' + file.filename);
+    const contentUrls = files.map(file => 'uploads/' + file.filename);
 
     const newTask = new Task({
       title,
-      type: taskType,
+      type,
+      instructions,
+      instructionsFormat,
+      links,
       contentUrls: contentUrls,
+      quiz,
       skill: skillId,
       deadline: deadline ? new Date(deadline) : undefined,
+      latePolicy,
+      status,
+      releaseAt: releaseAt ? new Date(releaseAt) : null,
     });
 
     const savedTask = await newTask.save();
@@ -173,17 +221,22 @@ router.post('/:skillId/tasks', protect, coach, upload.array('taskContent', 10),
 
     res.status(201).json(savedTask);
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      discardUploads(files);
+      return res.status(400).json({ message: err.message });
+    }
     console.error('Error creating task:', err);
-    res.status(400).json('Error: ' + err.message);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   PUT /skills/tasks/:taskId
-// @desc    Update a task
+// @desc    Update a task. `links` replaces the task's links and `quiz` a quiz task's whole quiz definition;
+//          `latePolicy` fields ({ mode, penaltyPerDay, graceDays }) are merged into the current policy.
 // @access  Private (Coach)
 router.put('/tasks/:taskId', protect, coach, async (req, res) => {
   const { taskId } = req.params;
-  const { title, deadline } = req.body;
+  const { title, instructions, instructionsFormat, deadline, status, releaseAt, quiz } = req.body;
 
   try {
     const task = await Task.findById(taskId);
@@ -197,24 +250,385 @@ router.put('/tasks/:taskId', protect, coach, async (req, res) => {
     }
 
     const course = await Course.findById(skill.course);
-    if (!course || course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'editContent')) {
       return res.status(401).json({ message: 'User not authorized' });
     }
 
     // Update task fields
     if (title) task.title = title;
+    if (instructions !== undefined) task.instructions = instructions;
+    if (instructionsFormat !== undefined) task.instructionsFormat = instructionsFormat;
+    if (req.body.links !== undefined) {
+      const { links, errors } = normalizeLinks(req.body.links);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid links', errors });
+      }
+      task.links = links;
+    }
     if (deadline !== undefined) task.deadline = deadline ? new Date(deadline) : undefined;
+    if (req.body.latePolicy !== undefined) {
+      const latePolicy = parseLatePolicy(req.body.latePolicy);
+      if (!latePolicy) {
+        return res.status(400).json({ message: 'latePolicy is not valid JSON' });
+      }
+      task.latePolicy = { ...task.latePolicy.toObject(), ...latePolicy };
+    }
+    if (status !== undefined) task.status = status;
+    if (releaseAt !== undefined) task.releaseAt = releaseAt ? new Date(releaseAt) : null;
+    if (quiz !== undefined) {
+      if (task.type !== 'quiz') {
+        return res.status(400).json({ message: 'Only quiz tasks have a quiz' });
+      }
+      const normalized = normalizeQuiz(quiz);
+      if (normalized.errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid quiz', errors: normalized.errors });
+      }
+      task.quiz = normalized.quiz;
+    }
 
     const updatedTask = await task.save();
     res.json(updatedTask);
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
     console.error('Error updating task:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// The task with its skill and course when the user holds `permission` on the course;
+// otherwise sends the error response and returns null
+const findTaskForStaff = async (req, res, permission) => {
+  // A malformed id is just a task that does not exist, not a server error
+  const task = mongoose.isValidObjectId(req.params.taskId) ? await Task.findById(req.params.taskId) : null;
+  if (!task) {
+    res.status(404).json({ message: 'Task not found' });
+    return null;
+  }
+  const skill = await Skill.findById(task.skill);
+  if (!skill) {
+    res.status(404).json({ message: 'Skill not found' });
+    return null;
+  }
+  const course = await Course.findById(skill.course);
+  if (!hasCoursePermission(course, req.user._id, permission)) {
+    res.status(401).json({ message: 'User not authorized' });
+    return null;
+  }
+  return { task, skill, course };
+};
+
+// Files are addressed by the filename part of their stored URL ('uploads/<filename>')
+const fileIndex = (task, filename) => task.contentUrls.findIndex(url => path.basename(url) === filename);
+
+// Save a content change with its history entry, then delete the files it dropped from disk.
+// Responds with the task, or 400 (discarding new uploads) when the task would be left invalid.
+const saveContentChange = async (req, res, task, { action, added = [], removed = [], files = [] }) => {
+  task.contentHistory.push({ action, added, removed, by: req.user._id, at: new Date() });
+  try {
+    await task.save();
+  } catch (err) {
+    discardUploads(files);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    throw err;
+  }
+  await removeUnusedUploads(removed, task._id);
+  res.json(task);
+};
+
+// @route   POST /skills/tasks/:taskId/files
+// @desc    Add content files (multipart field 'taskContent'), at the end or at `position`
+// @access  Private (Course owner and co-coaches)
+router.post('/tasks/:taskId/files', protect, coach, upload.array('taskContent', 10), async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ message: 'At least one file is required.' });
+  }
+  try {
+    const found = await findTaskForStaff(req, res, 'editContent');
+    if (!found) {
+      discardUploads(files);
+      return;
+    }
+    const { task } = found;
+    const added = files.map(file => 'uploads/' + file.filename);
+    const position = req.body.position !== undefined ? Number(req.body.position) : task.contentUrls.length;
+    if (!Number.isInteger(position) || position < 0 || position > task.contentUrls.length) {
+      discardUploads(files);
+      return res.status(400).json({ message: `position must be between 0 and ${task.contentUrls.length}` });
+    }
+    task.contentUrls.splice(position, 0, ...added);
+    await saveContentChange(req, res, task, { action: 'add', added, files });
+  } catch (err) {
+    discardUploads(files);
+    console.error('Error adding task files:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /skills/tasks/:taskId/files/order
+// @desc    Reorder the content files; `order` lists every current filename in the new order
+// @access  Private (Course owner and co-coaches)
+router.put('/tasks/:taskId/files/order', protect, coach, async (req, res) => {
+  const { order } = req.body;
+  try {
+    const found = await findTaskForStaff(req, res, 'editContent');
+    if (!found) return;
+    const { task } = found;
+    const current = task.contentUrls.map(url => path.basename(url));
+    if (!Array.isArray(order) || order.length !== current.length
+      || new Set(order).size !== order.length || !order.every(name => current.includes(name))) {
+      return res.status(400).json({ message: 'order must list each of the task\'s files exactly once', files: current });
+    }
+    task.contentUrls = order.map(name => task.contentUrls[current.indexOf(name)]);
+    await saveContentChange(req, res, task, { action: 'reorder' });
+  } catch (err) {
+    console.error('Error reordering task files:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /skills/tasks/:taskId/files/:filename
+// @desc    Replace one content file in place with a new upload (multipart field 'taskContent')
+// @access  Private (Course owner and co-coaches)
+router.put('/tasks/:taskId/files/:filename', protect, coach, upload.single('taskContent'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'A replacement file is required.' });
+  }
+  const files = [req.file];
+  try {
+    const found = await findTaskForStaff(req, res, 'editContent');
+    if (!found) {
+      discardUploads(files);
+      return;
+    }
+    const { task } = found;
+    const index = fileIndex(task, req.params.filename);
+    if (index < 0) {
+      discardUploads(files);
+      return res.status(404).json({ message: 'File not found on this task' });
+    }
+    const removed = task.contentUrls[index];
+    const added = 'uploads/' + req.file.filename;
+    task.contentUrls.set(index, added);
+    await saveContentChange(req, res, task, { action: 'replace', added: [added], removed: [removed], files });
+  } catch (err) {
+    discardUploads(files);
+    console.error('Error replacing task file:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /skills/tasks/:taskId/files/:filename
+// @desc    Remove one content file; it is deleted from disk unless another task shares it
+// @access  Private (Course owner and co-coaches)
+router.delete('/tasks/:taskId/files/:filename', protect, coach, async (req, res) => {
+  try {
+    const found = await findTaskForStaff(req, res, 'editContent');
+    if (!found) return;
+    const { task } = found;
+    const index = fileIndex(task, req.params.filename);
+    if (index < 0) {
+      return res.status(404).json({ message: 'File not found on this task' });
+    }
+    const [removed] = task.contentUrls.splice(index, 1);
+    await saveContentChange(req, res, task, { action: 'remove', removed: [removed] });
+  } catch (err) {
+    console.error('Error removing task file:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /skills/:skillId/tasks/order
+// @desc    Reorder a skill's tasks; `order` lists every task id of the skill in the new order
+// @access  Private (Course owner and co-coaches)
+router.put('/:skillId/tasks/order', protect, coach, async (req, res) => {
+  const { order } = req.body;
+  try {
+    const skill = await Skill.findById(req.params.skillId);
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+    const course = await Course.findById(skill.course);
+    if (!hasCoursePermission(course, req.user._id, 'editContent')) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    const current = skill.tasks.map(id => id.toString());
+    if (!Array.isArray(order) || order.length !== current.length
+      || new Set(order).size !== order.length || !order.every(id => current.includes(id))) {
+      return res.status(400).json({ message: 'order must list each of the skill\'s tasks exactly once', tasks: current });
+    }
+    skill.tasks = order;
+    const updatedSkill = await skill.save();
+    res.json(updatedSkill);
+  } catch (err) {
+    console.error('Error reordering tasks:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /skills/tasks/:taskId/move
+// @desc    Move a task to another skill of the same course ({ skillId, position }; default: last).
+//          Students' progress on the task is kept, as it belongs to the course.
+// @access  Private (Course owner and co-coaches)
+router.post('/tasks/:taskId/move', protect, coach, async (req, res) => {
+  const { skillId } = req.body;
+  if (!skillId) {
+    return res.status(400).json({ message: 'skillId is required' });
+  }
+  try {
+    const found = await findTaskForStaff(req, res, 'editContent');
+    if (!found) return;
+    const { task, skill: source, course } = found;
+    const target = source._id.toString() === String(skillId) ? source : await Skill.findById(skillId);
+    if (!target || target.course.toString() !== course._id.toString()) {
+      return res.status(404).json({ message: 'Skill not found in this course' });
+    }
+
+    source.tasks.pull(task._id);
+    const position = req.body.position !== undefined ? Number(req.body.position) : target.tasks.length;
+    if (!Number.isInteger(position) || position < 0 || position > target.tasks.length) {
+      return res.status(400).json({ message: `position must be between 0 and ${target.tasks.length}` });
+    }
+    target.tasks.splice(position, 0, task._id);
+    task.skill = target._id;
+
+    await task.save();
+    if (target !== source) await source.save();
+    await target.save();
+    res.json({ task, from: source._id, to: target._id, position });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({ message: 'Skill not found in this course' });
+    }
+    console.error('Error moving task:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Re-judge a student's work on a task after their deadline changed
+const refreshLateness = async (task, courseId, userId) => {
+  const progress = await Progress.findOne({ user: userId, course: courseId });
+  const tp = progress && progress.taskProgress.find(entry => entry.task.toString() === task._id.toString());
+  const handedIn = tp && (tp.submittedAt || tp.completedAt);
+  if (!handedIn) return;
+  applyLateness(tp, task, userId, handedIn);
+  await progress.save();
+};
+
+// @route   PUT /skills/tasks/:taskId/extensions/:userId
+// @desc    Grant or change a student's deadline extension ({ deadline, reason }).
+//          Work they already handed in is re-judged against it; XP already awarded is not changed.
+// @access  Private (Course staff who grade)
+router.put('/tasks/:taskId/extensions/:userId', protect, async (req, res) => {
+  const { userId } = req.params;
+  const deadline = req.body.deadline ? new Date(req.body.deadline) : null;
+  if (!deadline || Number.isNaN(deadline.getTime())) {
+    return res.status(400).json({ message: 'A valid deadline is required' });
+  }
+  try {
+    const found = await findTaskForStaff(req, res, 'grade');
+    if (!found) return;
+    const { task, course } = found;
+    if (!isEnrolled(course, userId)) {
+      return res.status(404).json({ message: 'Student not enrolled in this course' });
+    }
+
+    const extension = {
+      user: userId,
+      deadline,
+      reason: req.body.reason || '',
+      grantedBy: req.user._id,
+      grantedAt: new Date(),
+    };
+    const index = task.extensions.findIndex(entry => entry.user.toString() === userId);
+    if (index >= 0) {
+      task.extensions.set(index, extension);
+    } else {
+      task.extensions.push(extension);
+    }
+    await task.save();
+    await refreshLateness(task, course._id, userId);
+    res.json({ extensions: task.extensions });
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error granting extension:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /skills/tasks/:taskId/extensions/:userId
+// @desc    Withdraw a student's deadline extension
+// @access  Private (Course staff who grade)
+router.delete('/tasks/:taskId/extensions/:userId', protect, async (req, res) => {
+  const { userId } = req.params;
+  try {
+    const found = await findTaskForStaff(req, res, 'grade');
+    if (!found) return;
+    const { task, course } = found;
+    if (!task.extensions.some(entry => entry.user.toString() === userId)) {
+      return res.status(404).json({ message: 'Extension not found' });
+    }
+    task.extensions = task.extensions.filter(entry => entry.user.toString() !== userId);
+    await task.save();
+    await refreshLateness(task, course._id, userId);
+    res.json({ extensions: task.extensions });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({ message: 'Extension not found' });
+    }
+    console.error('Error removing extension:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /skills/tasks/:taskId/history
+// @desc    Content changes of a task, and each student's submission and completion times,
+//          so staff can see which version of the content a submission was made against
+// @access  Private (Course staff)
+router.get('/tasks/:taskId/history', protect, async (req, res) => {
+  try {
+    const found = await findTaskForStaff(req, res, 'viewProgress');
+    if (!found) return;
+    const { task, course } = found;
+    await task.populate('contentHistory.by', 'name');
+
+    const progresses = await Progress.find({ course: course._id, 'taskProgress.task': task._id })
+      .select('user taskProgress')
+      .populate('user', 'name email');
+    const lastChange = task.contentHistory.length > 0 ? task.contentHistory[task.contentHistory.length - 1].at : null;
+    const submissions = progresses
+      .map(progress => {
+        const tp = progress.taskProgress.find(entry => entry.task.toString() === task._id.toString());
+        return {
+          user: progress.user,
+          submittedAt: tp.submittedAt || null,
+          completedAt: tp.completedAt || null,
+          // Made against content that has changed since
+          beforeLatestChange: !!lastChange && !!tp.submittedAt && tp.submittedAt < lastChange,
+        };
+      })
+      .filter(entry => entry.submittedAt || entry.completedAt)
+      .sort((a, b) => (a.submittedAt || a.completedAt) - (b.submittedAt || b.completedAt));
+
+    res.json({
+      task: { _id: task._id, title: task.title, createdAt: task.createdAt, contentUrls: task.contentUrls },
+      history: task.contentHistory,
+      submissions,
+    });
+  } catch (err) {
+    console.error('Error fetching task history:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/skills/tasks/:taskId
-// @desc    Delete a task
+// @desc    Move a task to the trash
 // @access  Private (Coach)
 router.delete('/tasks/:taskId', protect, coach, async (req, res) => {
   const { taskId } = req.params;
@@ -229,37 +643,19 @@ router.delete('/tasks/:taskId', protect, coach, async (req, res) => {
     if (!skill) {
       // If the skill doesn't exist, the task is orphaned, so just delete it
       await task.deleteOne();
-      if (task.contentUrls && task.contentUrls.length > 0) {
-        task.contentUrls.forEach(url => {
-          if (fs.existsSync(url)) {
-            fs.unlinkSync(url);
-          }
-        });
-      }
+      await removeTaskFiles(task);
       return res.json({ message: 'Task deleted (skill not found)' });
     }
 
     const course = await Course.findById(skill.course);
-    if (!course || course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'deleteContent')) {
       return res.status(401).json({ message: 'User not authorized' });
     }
     
-    // Remove task from skill's tasks array
-    await Skill.updateOne({ _id: task.skill }, { $pull: { tasks: taskId } });
-    
-    // Delete the task files from uploads folder if they exist
-    if (task.contentUrls && task.contentUrls.length > 0) {
-      task.contentUrls.forEach(url => {
-        if (fs.existsSync(url)) {
-          fs.unlinkSync(url);
-        }
-      });
-    }
-    
-    // Delete the task
-    await task.deleteOne();
+    // The files stay until the task is purged from the trash
+    await trashTask(task, req.user._id);
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task moved to trash' });
   } catch (err) {
     console.error('Error deleting task:', err);
     res.status(500).json({ message: 'Server error' });
@@ -271,7 +667,7 @@ router.delete('/tasks/:taskId', protect, coach, async (req, res) => {
 // @access  Private (Coach)
 router.put('/:skillId', protect, coach, async (req, res) => {
   const { skillId } = req.params;
-  const { title, description } = req.body;
+  const { title, description, prerequisites, unlockCondition, sequential, status, releaseAt } = req.body;
 
   try {
     const skill = await Skill.findById(skillId);
@@ -280,17 +676,25 @@ router.put('/:skillId', protect, coach, async (req, res) => {
     }
 
     const course = await Course.findById(skill.course);
-    if (!course || course.coach.toString() !== req.user._id.toString()) {
+    if (!hasCoursePermission(course, req.user._id, 'editContent')) {
       return res.status(401).json({ message: 'User not authorized' });
     }
 
     // Update skill fields
     if (title) skill.title = title;
     if (description) skill.description = description;
+    if (prerequisites !== undefined) skill.prerequisites = prerequisites;
+    if (unlockCondition !== undefined) skill.unlockCondition = unlockCondition;
+    if (sequential !== undefined) skill.sequential = sequential;
+    if (status !== undefined) skill.status = status;
+    if (releaseAt !== undefined) skill.releaseAt = releaseAt || null;
 
     const updatedSkill = await skill.save();
     res.json(updatedSkill);
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
     console.error('Error updating skill:', err);
     res.status(500).json({ message: 'Server error' });
   }
@@ -0,0 +1,43 @@
+const router = require('express').Router();
+const { protect } = require('../middleware/authMiddleware');
+const Streak = require('../models/streak.model');
+const { isValidTimezone, getStreakStatus } = require('../utils/streaks');
+
+// @route   GET /streaks/me
+// @desc    Get the logged-in user's current and longest daily streak
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const streak = (await Streak.findOne({ user: req.user._id })) || new Streak({ user: req.user._id });
+    res.json(getStreakStatus(streak));
+  } catch (error) {
+    console.error('Streak fetch error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT /streaks/settings
+// @desc    Set the timezone and day start hour used to decide which day activity counts for
+// @access  Private
+router.put('/settings', protect, async (req, res) => {
+  const { timezone, dayStartHour } = req.body;
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return res.status(400).json({ message: 'Unknown timezone' });
+  }
+  if (dayStartHour !== undefined && dayStartHour !== null
+    && !(Number.isInteger(dayStartHour) && dayStartHour >= 0 && dayStartHour <= 23)) {
+    return res.status(400).json({ message: 'dayStartHour must be a whole hour between 0 and 23' });
+  }
+  try {
+    const streak = (await Streak.findOne({ user: req.user._id })) || new Streak({ user: req.user._id });
+    if (timezone !== undefined) streak.timezone = timezone;
+    if (dayStartHour !== undefined) streak.dayStartHour = dayStartHour;
+    await streak.save();
+    res.json(getStreakStatus(streak));
+  } catch (error) {
+    console.error('Streak settings error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
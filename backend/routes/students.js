@@ -1,11 +1,24 @@
 const router = require('express').Router();
 let Student = require('../models/student.model');
 const Badge = require('../models/badge.model');
+const User = require('../models/user.model');
+const { getXpTotals } = require('../utils/xpLedger');
 
-router.route('/').get((req, res) => {
-  Student.find()
-    .then(students => res.json(students))
-    .catch(err => res.status(400).json('Error: ' + err));
+// Scores come from the XP ledger of the user each profile belongs to
+router.route('/').get(async (req, res) => {
+  try {
+    const students = await Student.find();
+    const users = await User.find({ studentProfile: { $in: students.map(s => s._id) } })
+      .select('studentProfile');
+    const totals = await getXpTotals(users.map(u => u._id));
+    const scoreByProfile = new Map(users.map(u => [u.studentProfile.toString(), totals.get(u._id.toString()) || 0]));
+    const ranked = students
+      .map(student => ({ ...student.toObject(), score: scoreByProfile.get(student._id.toString()) || 0 }))
+      .sort((a, b) => b.score - a.score);
+    res.json(ranked);
+  } catch (err) {
+    res.status(400).json('Error: ' + err);
+  }
 });
 
 router.route('/add').post((req, res) => {
@@ -0,0 +1,128 @@
+const router = require('express').Router();
+const { protect, coach } = require('../middleware/authMiddleware');
+const Course = require('../models/course.model');
+const Skill = require('../models/skill.model');
+const Task = require('../models/task.model');
+const { hasCoursePermission, staffCourseFilter } = require('../utils/courseAccess');
+const {
+  TRASH_RETENTION_DAYS,
+  purgeAt,
+  restoreCourse,
+  restoreSkill,
+  restoreTask,
+  purgeCourse,
+  purgeSkill,
+  purgeTask,
+} = require('../utils/trash');
+
+const TRASH_TYPES = {
+  course: { Model: Course, restore: restoreCourse, purge: purgeCourse },
+  skill: { Model: Skill, restore: restoreSkill, purge: purgeSkill },
+  task: { Model: Task, restore: restoreTask, purge: purgeTask },
+};
+
+const trashed = { deletedAt: { $ne: null } };
+
+// The live course a trashed item belongs to (null for courses, and for items whose parent is trashed too)
+const owningCourse = async (type, item) => {
+  if (type === 'course') return Course.findById(item._id).setOptions({ withDeleted: true });
+  if (type === 'skill') return Course.findById(item.course).setOptions({ withDeleted: true });
+  const skill = await Skill.findById(item.skill).setOptions({ withDeleted: true });
+  return skill ? Course.findById(skill.course).setOptions({ withDeleted: true }) : null;
+};
+
+// Trashed courses need the owner; trashed skills and tasks need the deleteContent permission
+const canManageTrashed = (type, course, userId) => !!course
+  && hasCoursePermission(course, userId, type === 'course' ? 'deleteCourse' : 'deleteContent');
+
+const describe = (type, item) => ({
+  type,
+  _id: item._id,
+  title: item.name || item.title,
+  course: item.course,
+  skill: item.skill,
+  deletedAt: item.deletedAt,
+  deletedBy: item.deletedBy,
+  purgeAt: purgeAt(item),
+});
+
+// @route   GET /trash
+// @desc    Trashed courses, skills and tasks the logged-in coach can restore. Skills and tasks trashed
+//          together with their course are restored with it, so only the course is listed.
+// @access  Private (Coach)
+router.get('/', protect, coach, async (req, res) => {
+  try {
+    const courses = await Course.find({ ...trashed, coach: req.user._id }).populate('deletedBy', 'name');
+    const liveCourses = (await Course.find(staffCourseFilter(req.user._id)))
+      .filter(course => hasCoursePermission(course, req.user._id, 'deleteContent'));
+    const courseIds = liveCourses.map(course => course._id);
+    const skills = await Skill.find({ ...trashed, course: { $in: courseIds } }).populate('deletedBy', 'name');
+    const liveSkillIds = await Skill.find({ course: { $in: courseIds } }).distinct('_id');
+    const tasks = await Task.find({ ...trashed, skill: { $in: liveSkillIds } }).populate('deletedBy', 'name');
+
+    const items = [
+      ...courses.map(course => describe('course', course)),
+      ...skills.map(skill => describe('skill', skill)),
+      ...tasks.map(task => describe('task', task)),
+    ].sort((a, b) => b.deletedAt - a.deletedAt);
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, items });
+  } catch (error) {
+    console.error('Trash list error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Loads the trashed item named by :type/:id and checks the caller may manage it
+const loadTrashed = async (req, res) => {
+  const handler = TRASH_TYPES[req.params.type];
+  if (!handler) {
+    res.status(400).json({ message: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+    return null;
+  }
+  const item = await handler.Model.findOne({ _id: req.params.id, ...trashed });
+  if (!item) {
+    res.status(404).json({ message: 'Item not found in the trash' });
+    return null;
+  }
+  const course = await owningCourse(req.params.type, item);
+  if (!canManageTrashed(req.params.type, course, req.user._id)) {
+    res.status(401).json({ message: 'Not authorized' });
+    return null;
+  }
+  return { handler, item };
+};
+
+// @route   POST /trash/:type/:id/restore
+// @desc    Restore a trashed course (with its skills, tasks, enrollments and progress), skill (with its tasks) or task
+// @access  Private (Coach)
+router.post('/:type/:id/restore', protect, coach, async (req, res) => {
+  try {
+    const found = await loadTrashed(req, res);
+    if (!found) return;
+    const problem = await found.handler.restore(found.item);
+    if (problem) {
+      return res.status(409).json({ message: problem });
+    }
+    res.json({ message: `${req.params.type.charAt(0).toUpperCase() + req.params.type.slice(1)} restored` });
+  } catch (error) {
+    console.error('Trash restore error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /trash/:type/:id
+// @desc    Permanently delete a trashed item and its files now instead of waiting for the purge job
+// @access  Private (Coach)
+router.delete('/:type/:id', protect, coach, async (req, res) => {
+  try {
+    const found = await loadTrashed(req, res);
+    if (!found) return;
+    await found.handler.purge(found.item);
+    res.json({ message: 'Permanently deleted' });
+  } catch (error) {
+    console.error('Trash purge error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,13 @@ const Student = require('../models/student.model');
 const jwt = require('jsonwebtoken');
 const { protect } = require('../middleware/authMiddleware');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const Message = require('../models/message.model');
+const Streak = require('../models/streak.model');
+const { getXpTotal } = require('../utils/xpLedger');
+const { findStudentProfile } = require('../utils/badgeEngine');
+const { getLevelStatus } = require('../utils/levels');
+const { getStreakStatus } = require('../utils/streaks');
+const { APP_URL, sendMail } = require('../utils/mailer');
 
 // Generate Token
 const generateToken = (id) => {
@@ -68,6 +73,10 @@ router.post('/login', async (req, res) => {
   try {
     const user = await User.findOne({ email });
 
+    if (user && user.status === 'pending') {
+      return res.status(403).json({ message: 'Accept the invitation emailed to you to activate your account' });
+    }
+
     if (user && (await user.matchPassword(password))) {
       res.json({
         _id: user._id,
@@ -94,7 +103,8 @@ router.get('/profile', protect, async (req, res) => {
       select: 'title name description'
     });
     if (user) {
-      res.json(user);
+      const score = await getXpTotal(user._id);
+      res.json({ ...user.toObject(), score });
     } else {
       res.status(404).json({ message: 'User not found' });
     }
@@ -139,8 +149,14 @@ router.put('/profile', protect, async (req, res) => {
     // Update group and section
     if (req.body.group !== undefined) user.group = req.body.group;
     if (req.body.section !== undefined) user.section = req.body.section;
+    if (req.body.leaderboardOptOut !== undefined) user.leaderboardOptOut = !!req.body.leaderboardOptOut;
 
     await user.save();
+
+    // Keep the display name on the linked student profile in step with the account
+    if (req.body.name && user.studentProfile) {
+      await Student.updateOne({ _id: user.studentProfile }, { name: user.name });
+    }
     
     res.json({
       _id: user._id,
@@ -149,6 +165,7 @@ router.put('/profile', protect, async (req, res) => {
       role: user.role,
       group: user.group,
       section: user.section,
+      leaderboardOptOut: user.leaderboardOptOut,
       token: generateToken(user._id),
       enrolledCourses: user.enrolledCourses || [],
     });
@@ -158,6 +175,36 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
+// @route   GET /users/:id/gamification
+// @desc    Score, badges, level and streak of a user, resolved through their linked student profile
+// @access  Private (the user themselves, coaches, or anyone if the user has not opted out)
+router.get('/:id/gamification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name role leaderboardOptOut');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const isSelf = user._id.toString() === req.user._id.toString();
+    if (!isSelf && req.user.role !== 'coach' && user.leaderboardOptOut) {
+      return res.status(403).json({ message: 'This user keeps their progress private' });
+    }
+    const student = await findStudentProfile(user._id);
+    if (student) await student.populate('badges');
+    const streak = (await Streak.findOne({ user: user._id })) || new Streak({ user: user._id });
+    res.json({
+      user: { _id: user._id, name: user.name },
+      studentProfile: student ? student._id : null,
+      score: await getXpTotal(user._id),
+      badges: student ? student.badges : [],
+      level: (await getLevelStatus(user._id)).global,
+      streak: getStreakStatus(streak),
+    });
+  } catch (error) {
+    console.error('Gamification profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /users/forgot-password
 // @desc    Request password reset (send email)
 router.post('/forgot-password', async (req, res) => {
@@ -171,15 +218,8 @@ router.post('/forgot-password', async (req, res) => {
   user.resetPasswordExpires = Date.now() + 1000 * 60 * 60; // 1 hour
   await user.save();
   // Send email
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.GMAIL_USER,
-      pass: process.env.GMAIL_PASS,
-    },
-  });
-  const resetUrl = `http://localhost:5173/reset-password?token=${token}&email=${encodeURIComponent(email)}`;
-  await transporter.sendMail({
+  const resetUrl = `${APP_URL}/reset-password?token=${token}&email=${encodeURIComponent(email)}`;
+  await sendMail({
     to: email,
     subject: 'Password Reset Request',
     html: `<p>You requested a password reset. <a href="${resetUrl}">Click here to reset your password</a>. This link is valid for 1 hour.</p>`
@@ -195,12 +235,53 @@ router.post('/reset-password', async (req, res) => {
   const user = await User.findOne({ email, resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } });
   if (!user) return res.status(400).json({ message: 'Invalid or expired token' });
   user.password = newPassword;
+  // Resetting the password proves the address, so it also activates an invited account
+  user.status = 'active';
+  user.inviteToken = undefined;
+  user.inviteExpires = undefined;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpires = undefined;
   await user.save();
   res.json({ message: 'Password has been reset' });
 });
 
+// @route   POST /users/accept-invite
+// @desc    Activate an account created from a course roster by setting its password
+router.post('/accept-invite', async (req, res) => {
+  const { email, token, password, name } = req.body;
+  if (!email || !token || !password) return res.status(400).json({ message: 'Missing fields' });
+  // Only plain strings reach the query, so an object such as { $ne: null } cannot match any invite
+  if ([email, token, password].some(value => typeof value !== 'string')) {
+    return res.status(400).json({ message: 'Invalid fields' });
+  }
+  try {
+    const user = await User.findOne({
+      email,
+      status: 'pending',
+      inviteToken: token,
+      inviteExpires: { $gt: Date.now() },
+    });
+    if (!user) return res.status(400).json({ message: 'Invalid or expired invitation' });
+    user.password = password;
+    if (typeof name === 'string' && name.trim()) user.name = name.trim();
+    user.status = 'active';
+    user.inviteToken = undefined;
+    user.inviteExpires = undefined;
+    await user.save();
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      token: generateToken(user._id),
+      enrolledCourses: user.enrolledCourses || [],
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /users/groups
 // @desc    List all unique groups and sections
 router.get('/groups', async (req, res) => {
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Student = require('../models/student.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ping_gamify';
+
+// Carries scores recorded before the XP ledger existed over as one opening 'bonus' entry per user.
+// Users who already have ledger entries are skipped: their Student.score is a ledger copy.
+async function importLegacyScores() {
+  await mongoose.connect(MONGO_URI);
+  const users = await User.find({ studentProfile: { $ne: null } });
+  let importedCount = 0;
+  for (const user of users) {
+    const student = await Student.findById(user.studentProfile);
+    if (!student || !student.score) continue;
+    if (await LedgerEntry.exists({ user: user._id })) continue;
+    await LedgerEntry.create({
+      user: user._id,
+      source: 'bonus',
+      amount: student.score,
+      sourceKey: `legacy_score:${user._id}`,
+      reason: 'Score carried over from before the XP ledger',
+    });
+    importedCount++;
+    console.log(`User '${user.name}': imported legacy score ${student.score}`);
+  }
+  await mongoose.disconnect();
+  console.log(`Import complete. Imported ${importedCount} legacy scores.`);
+}
+
+importLegacyScores().catch(err => {
+  console.error('Import failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Badge = require('../models/badge.model');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ping_gamify';
+
+// Turns legacy free-text criteria such as 'Complete 5 tasks' into structured rules
+async function migrateBadgeCriteria() {
+  await mongoose.connect(MONGO_URI);
+  const badges = await Badge.find({ rule: null });
+  let migratedCount = 0;
+  for (const badge of badges) {
+    const match = /^complete\s+(\d+)\s+tasks?$/i.exec((badge.criteria || '').trim());
+    if (!match) {
+      console.log(`Badge '${badge.title}': criteria '${badge.criteria}' not recognised, left without a rule`);
+      continue;
+    }
+    badge.rule = { kind: 'taskCount', threshold: Number(match[1]) };
+    await badge.save();
+    migratedCount++;
+    console.log(`Badge '${badge.title}': set rule taskCount >= ${match[1]}`);
+  }
+  await mongoose.disconnect();
+  console.log(`Migration complete. Migrated ${migratedCount} badges.`);
+}
+
+migrateBadgeCriteria().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { purgeExpiredTrash, TRASH_RETENTION_DAYS } = require('../utils/trash');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ping_gamify';
+
+// Permanently deletes courses, skills and tasks (with their files and progress) that have been
+// in the trash longer than TRASH_RETENTION_DAYS. The server also runs this periodically.
+async function purgeTrash() {
+  await mongoose.connect(MONGO_URI);
+  const purged = await purgeExpiredTrash();
+  await mongoose.disconnect();
+  console.log(`Purge complete (retention ${TRASH_RETENTION_DAYS} days). Deleted ${purged.courses} courses, `
+    + `${purged.skills} skills, ${purged.tasks} tasks and ${purged.progress} orphaned progress records.`);
+}
+
+purgeTrash().catch(err => {
+  console.error('Purge failed:', err);
+  process.exit(1);
+});
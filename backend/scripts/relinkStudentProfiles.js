@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Student = require('../models/student.model');
+const { syncStudentScore } = require('../utils/xpLedger');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ping_gamify';
+
+// Gives every user exactly one Student profile of their own, linked by User.studentProfile and Student.user.
+// Badges used to be awarded by looking profiles up by name, so:
+//  - users without a (working) link are linked to an unclaimed profile with their name, or get a new one
+//  - users sharing a profile with another user get their own copy of it
+//  - unclaimed profiles carrying the same name as exactly one user are merged into that user's profile
+async function relinkStudentProfiles() {
+  await mongoose.connect(MONGO_URI);
+  const users = await User.find().sort({ createdAt: 1 });
+  const claimed = new Set();
+  let relinkedCount = 0;
+  let mergedCount = 0;
+
+  for (const user of users) {
+    let student = user.studentProfile ? await Student.findById(user.studentProfile) : null;
+
+    if (student && claimed.has(student._id.toString())) {
+      student = await Student.create({ name: user.name, badges: student.badges });
+      console.log(`User '${user.name}': shared profile split off into ${student._id}`);
+    } else if (!student) {
+      student = await Student.findOne({ name: user.name, _id: { $nin: [...claimed] } });
+      if (student && await User.exists({ studentProfile: student._id, _id: { $ne: user._id } })) {
+        student = null;
+      }
+      if (!student) {
+        student = await Student.create({ name: user.name, badges: [] });
+      }
+      console.log(`User '${user.name}': linked to profile ${student._id}`);
+    }
+
+    if (!user.studentProfile || user.studentProfile.toString() !== student._id.toString()) {
+      user.studentProfile = student._id;
+      await user.save();
+      relinkedCount++;
+    }
+    // Student.user is the key getStudentProfile upserts on; point it at the linked profile only
+    if (!student.user || student.user.toString() !== user._id.toString()) {
+      await Student.updateMany({ user: user._id, _id: { $ne: student._id } }, { $unset: { user: 1 } });
+      await Student.updateOne({ _id: student._id }, { user: user._id });
+    }
+    claimed.add(student._id.toString());
+  }
+
+  const linkedIds = new Set(users.map(u => u.studentProfile.toString()));
+  for (const user of users) {
+    if (users.filter(u => u.name === user.name).length > 1) continue;
+    const duplicates = (await Student.find({ name: user.name, _id: { $ne: user.studentProfile } }))
+      .filter(duplicate => !linkedIds.has(duplicate._id.toString()));
+    if (duplicates.length === 0) continue;
+    const badges = duplicates.flatMap(duplicate => duplicate.badges);
+    await Student.updateOne({ _id: user.studentProfile }, { $addToSet: { badges: { $each: badges } } });
+    await Student.deleteMany({ _id: { $in: duplicates.map(duplicate => duplicate._id) } });
+    mergedCount += duplicates.length;
+    console.log(`User '${user.name}': merged ${duplicates.length} duplicate profile(s)`);
+  }
+
+  for (const user of users) {
+    await syncStudentScore(user._id);
+  }
+
+  await mongoose.disconnect();
+  console.log(`Relink complete. Relinked ${relinkedCount} users, merged ${mergedCount} duplicate profiles.`);
+}
+
+relinkStudentProfiles().catch(err => {
+  console.error('Relink failed:', err);
+  process.exit(1);
+});
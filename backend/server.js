@@ -18,6 +18,16 @@ const usersRouter = require('./routes/users');
 const coursesRouter = require('./routes/courses');
 const progressRouter = require('./routes/progress');
 const groupsRouter = require('./routes/groups');
+const ledgerRouter = require('./routes/ledger');
+const leaderboardRouter = require('./routes/leaderboard');
+const levelsRouter = require('./routes/levels');
+const streaksRouter = require('./routes/streaks');
+const challengesRouter = require('./routes/challenges');
+const badgesRouter = require('./routes/badges');
+const competitionsRouter = require('./routes/competitions');
+const trashRouter = require('./routes/trash');
+const quizzesRouter = require('./routes/quizzes');
+const { purgeExpiredTrash } = require('./utils/trash');
 
 app.use('/students', studentsRouter);
 app.use('/skills', skillsRouter);
@@ -25,6 +35,21 @@ app.use('/users', usersRouter);
 app.use('/courses', coursesRouter);
 app.use('/progress', progressRouter);
 app.use('/groups', groupsRouter);
+app.use('/ledger', ledgerRouter);
+app.use('/leaderboard', leaderboardRouter);
+app.use('/levels', levelsRouter);
+app.use('/streaks', streaksRouter);
+app.use('/challenges', challengesRouter);
+app.use('/badges', badgesRouter);
+app.use('/competitions', competitionsRouter);
+app.use('/trash', trashRouter);
+app.use('/quizzes', quizzesRouter);
+
+// Permanently delete trash older than TRASH_RETENTION_DAYS, at startup and then every few hours
+const TRASH_PURGE_INTERVAL_HOURS = Number(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6;
+const runTrashPurge = () => purgeExpiredTrash()
+  .then(purged => console.log('Trash purge complete:', purged))
+  .catch(err => console.error('Trash purge failed:', err));
 
 const uri = process.env.ATLAS_URI;
 if (!uri) {
@@ -40,6 +65,8 @@ mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true })
     app.listen(port, () => {
       console.log(`Server is running on port: ${port}`);
     });
+    runTrashPurge();
+    setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
   })
   .catch(err => {
     console.error('MongoDB connection error:', err);
@@ -0,0 +1,179 @@
+const Badge = require('../models/badge.model');
+const Course = require('../models/course.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const Progress = require('../models/progress.model');
+const Skill = require('../models/skill.model');
+const Streak = require('../models/streak.model');
+const Student = require('../models/student.model');
+const User = require('../models/user.model');
+const { awardXp, XP_REWARDS } = require('./xpLedger');
+const { hasCoursePermission } = require('./courseAccess');
+const { isAdmin } = require('../middleware/authMiddleware');
+
+// Course badges are managed by the course's owner and co-coaches, global badges by the coach who
+// created them. Legacy badges without a creator belong to nobody, so only admins may manage them.
+const canManageBadge = async (badge, user) => {
+  if (badge.course) {
+    const course = await Course.findById(badge.course);
+    return hasCoursePermission(course, user._id, 'manageRewards');
+  }
+  if (!badge.createdBy) return isAdmin(user);
+  return badge.createdBy.toString() === user._id.toString();
+};
+
+// The student profile (scores and badges) linked to a user account through User.studentProfile,
+// or null when there is none yet. Read-only, for GET requests.
+const findStudentProfile = async (userId) => {
+  const user = await User.findById(userId).select('studentProfile');
+  if (!user || !user.studentProfile) return null;
+  return Student.findById(user.studentProfile);
+};
+
+// Like findStudentProfile, but accounts without a working link get a fresh profile, so
+// gamification never falls back to names. Only for write paths. The upsert on Student.user
+// makes concurrent calls for the same account end up with the same profile.
+const getStudentProfile = async (userId) => {
+  const user = await User.findById(userId).select('name studentProfile');
+  if (!user) return null;
+  const student = user.studentProfile ? await Student.findById(user.studentProfile) : null;
+  if (student) return student;
+  const created = await Student.findOneAndUpdate(
+    { user: user._id },
+    { $setOnInsert: { name: user.name, score: 0, badges: [] } },
+    { upsert: true, new: true }
+  );
+  await User.updateOne({ _id: user._id }, { studentProfile: created._id });
+  return created;
+};
+
+// Everything the rule evaluators need, loaded once per evaluation
+const loadContext = async (userId) => {
+  const progresses = await Progress.find({ user: userId });
+  const completed = new Set();
+  progresses.forEach(p => p.completedTasks.forEach(id => completed.add(id.toString())));
+  return { userId, progresses, completed, taskIdsCache: {} };
+};
+
+const progressesFor = (ctx, courseId) => (courseId
+  ? ctx.progresses.filter(p => p.course.toString() === courseId.toString())
+  : ctx.progresses);
+
+// Task IDs of a skill or of every skill in a course
+const scopeTaskIds = async (ctx, rule) => {
+  const key = rule.skill ? `skill:${rule.skill}` : `course:${rule.course}`;
+  if (!ctx.taskIdsCache[key]) {
+    const skills = rule.skill
+      ? await Skill.find({ _id: rule.skill })
+      : await Skill.find({ course: rule.course });
+    ctx.taskIdsCache[key] = skills.flatMap(skill => skill.tasks.map(id => id.toString()));
+  }
+  return ctx.taskIdsCache[key];
+};
+
+const completionPercentage = async (ctx, rule) => {
+  const taskIds = await scopeTaskIds(ctx, rule);
+  if (taskIds.length === 0) return 0;
+  const done = taskIds.filter(id => ctx.completed.has(id)).length;
+  return (done / taskIds.length) * 100;
+};
+
+const RULE_EVALUATORS = {
+  taskCount: async (rule, ctx) => {
+    const count = progressesFor(ctx, rule.course)
+      .reduce((sum, p) => sum + p.completedTasks.length, 0);
+    return count >= (rule.threshold ?? 1);
+  },
+
+  skillCompletion: async (rule, ctx) => (await completionPercentage(ctx, rule)) >= (rule.threshold ?? 100),
+
+  courseCompletion: async (rule, ctx) => (await completionPercentage(ctx, { course: rule.course }))
+    >= (rule.threshold ?? 100),
+
+  averageRating: async (rule, ctx) => {
+    const ratings = progressesFor(ctx, rule.course)
+      .flatMap(p => p.taskProgress.filter(tp => tp.coachRating !== null).map(tp => tp.coachRating));
+    if (ratings.length === 0) return false;
+    const average = ratings.reduce((sum, r) => sum + r, 0) / ratings.length;
+    return average >= (rule.threshold ?? 0);
+  },
+
+  // Longest streak, so a streak badge stays earned once the milestone is reached
+  streak: async (rule, ctx) => {
+    const streak = await Streak.findOne({ user: ctx.userId }).select('longest');
+    return (streak ? streak.longest : 0) >= (rule.threshold ?? 1);
+  },
+
+  approvedSubmissions: async (rule, ctx) => {
+    const count = progressesFor(ctx, rule.course)
+      .reduce((sum, p) => sum + p.taskProgress.filter(tp => tp.approved === true).length, 0);
+    return count >= (rule.threshold ?? 1);
+  },
+
+  firstToFinish: async (rule, ctx, badge) => {
+    if ((await completionPercentage(ctx, rule)) < 100) return false;
+    // Only the first finisher gets it: nobody else may hold the badge yet
+    return !(await Student.exists({ badges: badge._id }));
+  },
+};
+
+// Course a badge belongs to: its own, else the one its rule is scoped to
+const badgeCourse = (badge) => badge.course || (badge.rule ? badge.rule.course : null) || null;
+
+// Give a badge to a student profile along with its XP. Returns false if they already held it.
+const grantBadge = async (userId, studentId, badge) => {
+  // $addToSet keeps concurrent progress events from awarding the same badge twice
+  const result = await Student.updateOne(
+    { _id: studentId, badges: { $ne: badge._id } },
+    { $addToSet: { badges: badge._id } }
+  );
+  if (result.modifiedCount === 0) return false;
+  // A badge can be revoked and earned again; each award gets its own ledger event
+  const previousAwards = await LedgerEntry.countDocuments({ user: userId, badge: badge._id, source: 'badge' });
+  await awardXp({
+    user: userId,
+    course: badgeCourse(badge),
+    source: 'badge',
+    amount: badge.xpReward ?? XP_REWARDS.badgeDefault,
+    sourceKey: `badge:${userId}:${badge._id}` + (previousAwards ? `:${previousAwards}` : ''),
+    badge: badge._id,
+    reason: badge.title,
+  });
+  return true;
+};
+
+// Evaluate every active badge rule for a user and award the ones they have earned.
+// Returns the newly awarded badges.
+const awardBadges = async (userId) => {
+  const student = await getStudentProfile(userId);
+  if (!student) return [];
+
+  const candidates = await Badge.find({
+    active: true,
+    rule: { $ne: null },
+    _id: { $nin: [...student.badges, ...(student.revokedBadges || [])] },
+  });
+  if (candidates.length === 0) return [];
+
+  const ctx = await loadContext(userId);
+  const newBadges = [];
+  for (const badge of candidates) {
+    const evaluate = RULE_EVALUATORS[badge.rule.kind];
+    // Rules of course badges are scoped to that course unless they name one themselves
+    const rule = badge.course && !badge.rule.course
+      ? { ...badge.rule.toObject(), course: badge.course }
+      : badge.rule;
+    if (!evaluate || !(await evaluate(rule, ctx, badge))) continue;
+    if (await grantBadge(userId, student._id, badge)) newBadges.push(badge);
+  }
+  return newBadges;
+};
+
+module.exports = {
+  awardBadges,
+  grantBadge,
+  badgeCourse,
+  canManageBadge,
+  findStudentProfile,
+  getStudentProfile,
+  RULE_EVALUATORS,
+};
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Course = require('../models/course.model');
+const Skill = require('../models/skill.model');
+const Task = require('../models/task.model');
+const User = require('../models/user.model');
+
+const CATALOG_SORTS = ['newest', 'popular'];
+const ENROLLMENT_STATUSES = ['enrolled', 'pending', 'waitlisted', 'none'];
+
+// Field each sort orders by (descending); _id breaks ties
+const SORT_KEYS = { newest: 'createdAt', popular: 'studentCount' };
+
+const encodeCursor = (sort, course) => Buffer.from(JSON.stringify({
+  value: course[SORT_KEYS[sort]],
+  id: course._id,
+})).toString('base64url');
+
+// The position after which the next page starts, or null when the cursor is malformed
+const decodeCursor = (sort, cursor) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const decoded = sort === 'newest' ? new Date(value) : Number(value);
+    if (Number.isNaN(sort === 'newest' ? decoded.getTime() : decoded) || !mongoose.isValidObjectId(id)) return null;
+    return { value: decoded, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Released and not in the trash ($lookup stages bypass the soft-delete filter)
+const releasedMatch = (now) => ({
+  deletedAt: null,
+  status: { $ne: 'draft' },
+  $or: [{ releaseAt: null }, { releaseAt: { $lte: now } }],
+});
+
+// Ids of courses whose name/description or one of whose skill titles match the search text
+const searchCourseIds = async (search) => {
+  const [byCourse, bySkill] = await Promise.all([
+    Course.find({ $text: { $search: search } }).distinct('_id'),
+    Skill.find({ $text: { $search: search } }).distinct('course'),
+  ]);
+  return [...byCourse, ...bySkill];
+};
+
+// One page of the public catalog. Only the page's courses are joined with their skills and tasks.
+// `viewerId` (optional) adds each course's enrollmentStatus for that user and enables the enrollment filter.
+const queryCatalog = async ({ search, coach, tags, enrollment, sort = 'newest', cursor, limit = 20, viewerId }) => {
+  const now = new Date();
+  const match = {
+    visibility: 'public',
+    isTemplate: { $ne: true },
+    ...releasedMatch(now),
+  };
+  if (search) match._id = { $in: await searchCourseIds(search) };
+  if (coach) match.coach = new mongoose.Types.ObjectId(coach);
+  if (tags && tags.length > 0) match.tags = { $all: tags };
+
+  const viewer = viewerId ? new mongoose.Types.ObjectId(viewerId) : null;
+  const sortKey = SORT_KEYS[sort];
+  const pipeline = [
+    { $match: match },
+    {
+      $addFields: {
+        studentCount: { $size: '$students' },
+        enrollmentStatus: viewer
+          ? {
+            $switch: {
+              branches: [
+                { case: { $in: [viewer, '$students'] }, then: 'enrolled' },
+                { case: { $in: [viewer, '$enrollmentRequests.user'] }, then: 'pending' },
+                { case: { $in: [viewer, '$waitlist.user'] }, then: 'waitlisted' },
+              ],
+              default: 'none',
+            },
+          }
+          : '$$REMOVE',
+      },
+    },
+  ];
+  if (enrollment) pipeline.push({ $match: { enrollmentStatus: enrollment } });
+  if (cursor) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { [sortKey]: { $lt: cursor.value } },
+          { [sortKey]: cursor.value, _id: { $lt: cursor.id } },
+        ],
+      },
+    });
+  }
+  pipeline.push(
+    { $sort: { [sortKey]: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: Skill.collection.name,
+        let: { courseId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$course', '$$courseId'] }, ...releasedMatch(now) } },
+          {
+            $lookup: {
+              from: Task.collection.name,
+              let: { taskIds: '$tasks' },
+              pipeline: [
+                { $match: { $expr: { $in: ['$_id', '$$taskIds'] }, ...releasedMatch(now) } },
+                { $count: 'count' },
+              ],
+              as: 'taskCount',
+            },
+          },
+          { $project: { taskCount: { $ifNull: [{ $first: '$taskCount.count' }, 0] } } },
+        ],
+        as: 'releasedSkills',
+      },
+    },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { coachId: '$coach' },
+        pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$coachId'] } } }, { $project: { name: 1 } }],
+        as: 'coach',
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        description: 1,
+        tags: 1,
+        coach: { $first: '$coach' },
+        createdAt: 1,
+        requiresApproval: 1,
+        maxSeats: 1,
+        studentCount: 1,
+        skillCount: { $size: '$releasedSkills' },
+        taskCount: { $sum: '$releasedSkills.taskCount' },
+        enrollmentStatus: 1,
+      },
+    }
+  );
+
+  const courses = await Course.aggregate(pipeline);
+  const hasMore = courses.length > limit;
+  const page = hasMore ? courses.slice(0, limit) : courses;
+  return {
+    courses: page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+  };
+};
+
+module.exports = { CATALOG_SORTS, ENROLLMENT_STATUSES, decodeCursor, queryCatalog };
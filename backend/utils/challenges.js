@@ -0,0 +1,122 @@
+const Challenge = require('../models/challenge.model');
+const Group = require('../models/group.model');
+const Progress = require('../models/progress.model');
+const Skill = require('../models/skill.model');
+const { getXpTotal, awardXp } = require('./xpLedger');
+const { getStudentProfile, grantBadge } = require('./badgeEngine');
+
+const inWindow = (date, challenge) => !!date && date >= challenge.startsAt && date <= challenge.endsAt;
+
+// Task progress entries a challenge can see: one course's, or every course's for group challenges
+const loadTaskProgress = async (challenge, userId) => {
+  const filter = { user: userId };
+  if (challenge.course) filter.course = challenge.course;
+  const progresses = await Progress.find(filter);
+  return progresses.flatMap(p => p.taskProgress);
+};
+
+const skillTaskIds = async (skillId, cache) => {
+  const key = skillId.toString();
+  if (!cache[key]) {
+    const skill = await Skill.findById(skillId);
+    cache[key] = new Set(skill ? skill.tasks.map(id => id.toString()) : []);
+  }
+  return cache[key];
+};
+
+// How far a user has got with each goal of a challenge
+const getChallengeProgress = async (challenge, userId) => {
+  const taskProgress = await loadTaskProgress(challenge, userId);
+  const skillCache = {};
+  const goals = [];
+  for (const goal of challenge.goals) {
+    let entries = taskProgress;
+    if (goal.skill) {
+      const taskIds = await skillTaskIds(goal.skill, skillCache);
+      entries = entries.filter(tp => taskIds.has(tp.task.toString()));
+    }
+    let current = 0;
+    if (goal.kind === 'completeTasks') {
+      current = entries.filter(tp => tp.completed && inWindow(tp.completedAt, challenge)).length;
+    } else if (goal.kind === 'submitTasks') {
+      current = entries.filter(tp => inWindow(tp.submittedAt, challenge)).length;
+    } else if (goal.kind === 'coachRating') {
+      current = entries.filter(tp => tp.coachRating >= goal.minRating && inWindow(tp.coachRatedAt, challenge)).length;
+    } else if (goal.kind === 'earnXp') {
+      current = await getXpTotal(userId, {
+        course: challenge.course,
+        since: challenge.startsAt,
+        until: challenge.endsAt,
+      });
+    }
+    goals.push({
+      kind: goal.kind,
+      target: goal.target,
+      skill: goal.skill,
+      current: Math.min(current, goal.target),
+      met: current >= goal.target,
+    });
+  }
+  const completion = challenge.completions.find(c => c.user.toString() === userId.toString());
+  return {
+    goals,
+    completed: !!completion,
+    completedAt: completion ? completion.completedAt : null,
+  };
+};
+
+// Challenges running right now that a user takes part in: those of the given course
+// (or of all their courses) and those of every group they belong to
+const findActiveChallenges = async (userId, { courseIds, now = new Date() }) => {
+  const groups = await Group.find({ members: userId }).select('_id');
+  return Challenge.find({
+    startsAt: { $lte: now },
+    endsAt: { $gte: now },
+    $or: [
+      { course: { $in: courseIds } },
+      { group: { $in: groups.map(g => g._id) } },
+    ],
+  });
+};
+
+// Check a user's open challenges after a progress event and hand out rewards for the ones
+// they have just completed. Returns the newly completed challenges.
+const evaluateChallenges = async (userId, courseId) => {
+  const challenges = await findActiveChallenges(userId, { courseIds: courseId ? [courseId] : [] });
+  const completed = [];
+  for (const challenge of challenges) {
+    if (challenge.completions.some(c => c.user.toString() === userId.toString())) continue;
+    const { goals } = await getChallengeProgress(challenge, userId);
+    if (!goals.every(goal => goal.met)) continue;
+
+    // Conditional push so two simultaneous events cannot complete the challenge twice
+    const result = await Challenge.updateOne(
+      { _id: challenge._id, 'completions.user': { $ne: userId } },
+      { $push: { completions: { user: userId, completedAt: new Date() } } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    if (challenge.reward.xp > 0) {
+      await awardXp({
+        user: userId,
+        course: challenge.course,
+        source: 'challenge',
+        amount: challenge.reward.xp,
+        sourceKey: `challenge:${challenge._id}:${userId}`,
+        challenge: challenge._id,
+        reason: challenge.title,
+      });
+    }
+    if (challenge.reward.badge) {
+      await challenge.populate('reward.badge');
+      const student = await getStudentProfile(userId);
+      if (student && challenge.reward.badge) {
+        await grantBadge(userId, student._id, challenge.reward.badge);
+      }
+    }
+    completed.push(challenge);
+  }
+  return completed;
+};
+
+module.exports = { getChallengeProgress, findActiveChallenges, evaluateChallenges };
@@ -0,0 +1,45 @@
+// Course staff roles and what each of them may do. The owner is Course.coach;
+// co-coaches and assistants are listed in Course.staff.
+const STAFF_ROLES = ['coCoach', 'assistant'];
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'manageCourse', 'manageEnrollment', 'manageStaff', 'deleteCourse',
+    'editContent', 'deleteContent', 'manageRewards', 'grade', 'viewProgress',
+  ],
+  coCoach: [
+    'manageCourse', 'manageEnrollment',
+    'editContent', 'deleteContent', 'manageRewards', 'grade', 'viewProgress',
+  ],
+  assistant: ['grade', 'viewProgress'],
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// 'owner', 'coCoach', 'assistant' or null for users who are not on the course staff
+const courseRole = (course, userId) => {
+  if (!course || !userId) return null;
+  const id = userId.toString();
+  if (idOf(course.coach) === id) return 'owner';
+  const member = (course.staff || []).find(entry => idOf(entry.user) === id);
+  return member ? member.role : null;
+};
+
+const isCourseStaff = (course, userId) => courseRole(course, userId) !== null;
+
+const hasCoursePermission = (course, userId, permission) => {
+  const role = courseRole(course, userId);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// Query matching every course the user owns or is on the staff of
+const staffCourseFilter = (userId) => ({ $or: [{ coach: userId }, { 'staff.user': userId }] });
+
+module.exports = {
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  courseRole,
+  isCourseStaff,
+  hasCoursePermission,
+  staffCourseFilter,
+};
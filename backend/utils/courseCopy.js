@@ -0,0 +1,111 @@
+const Course = require('../models/course.model');
+const Skill = require('../models/skill.model');
+const Task = require('../models/task.model');
+const { copyUpload, removeUpload } = require('../middleware/uploadMiddleware');
+const { ANSWER_KEY, quizDefinition } = require('./quiz');
+
+// Deep-copy a course with its skills and tasks for a new owner. The copy starts with no students,
+// staff, enrollment queue or progress. With `copyFiles` every task gets its own copy of the uploaded
+// content; otherwise the copies share the original files (see removeTaskFiles).
+const cloneCourse = async (sourceId, { coachId, name, description, copyFiles = false, isTemplate = false }) => {
+  const source = await Course.findById(sourceId);
+  if (!source) return null;
+  const skills = await Skill.find({ course: source._id });
+  const byId = new Map(skills.map(skill => [skill._id.toString(), skill]));
+  const copiedFiles = [];
+
+  const course = await Course.create({
+    name: name || source.name,
+    description: description !== undefined ? description : source.description,
+    coach: coachId,
+    visibility: source.visibility,
+    requiresApproval: source.requiresApproval,
+    maxSeats: source.maxSeats,
+    tags: source.tags,
+    isTemplate,
+    templateSource: source._id,
+  });
+
+  try {
+    // Keep the course's skill order; skills missing from it go last
+    const ordered = source.skills.map(id => byId.get(id.toString())).filter(Boolean);
+    skills.forEach(skill => { if (!ordered.includes(skill)) ordered.push(skill); });
+
+    const skillMap = new Map();
+    for (const skill of ordered) {
+      const copy = await Skill.create({
+        title: skill.title,
+        description: skill.description,
+        course: course._id,
+        unlockCondition: skill.unlockCondition,
+        sequential: skill.sequential,
+        status: skill.status,
+        releaseAt: skill.releaseAt,
+      });
+      skillMap.set(skill._id.toString(), copy);
+
+      const tasks = await Task.find({ _id: { $in: skill.tasks } }).select(ANSWER_KEY);
+      const taskById = new Map(tasks.map(task => [task._id.toString(), task]));
+      for (const taskId of skill.tasks) {
+        const task = taskById.get(taskId.toString());
+        if (!task) continue;
+        const contentUrls = copyFiles ? task.contentUrls.map(copyUpload) : [...task.contentUrls];
+        if (copyFiles) copiedFiles.push(...contentUrls);
+        const taskCopy = await Task.create({
+          title: task.title,
+          type: task.type,
+          instructions: task.instructions,
+          instructionsFormat: task.instructionsFormat,
+          links: task.links.map(link => ({ url: link.url, title: link.title })),
+          contentUrls,
+          quiz: task.quiz ? quizDefinition(task.quiz) : undefined,
+          skill: copy._id,
+          deadline: task.deadline,
+          latePolicy: task.latePolicy,
+          status: task.status,
+          releaseAt: task.releaseAt,
+        });
+        copy.tasks.push(taskCopy._id);
+      }
+      await copy.save();
+    }
+
+    // Prerequisites point at the copied skills; the source graph is acyclic, so saving in order validates
+    for (const skill of ordered) {
+      if (skill.prerequisites.length === 0) continue;
+      const copy = skillMap.get(skill._id.toString());
+      copy.prerequisites = skill.prerequisites
+        .map(id => skillMap.get(id.toString()))
+        .filter(Boolean)
+        .map(prerequisite => prerequisite._id);
+      await copy.save();
+    }
+
+    course.skills = ordered.map(skill => skillMap.get(skill._id.toString())._id);
+    await course.save();
+    return course;
+  } catch (error) {
+    // Do not leave a half-copied course behind
+    const copiedSkills = await Skill.find({ course: course._id }).select('_id');
+    await Task.deleteMany({ skill: { $in: copiedSkills.map(skill => skill._id) } });
+    await Skill.deleteMany({ course: course._id });
+    await Course.deleteOne({ _id: course._id });
+    copiedFiles.forEach(removeUpload);
+    throw error;
+  }
+};
+
+// Delete files unless a task other than `exceptTaskId` (e.g. in a cloned course, or in the trash) still uses them
+const removeUnusedUploads = async (urls, exceptTaskId = null) => {
+  for (const url of urls) {
+    const filter = { contentUrls: url };
+    if (exceptTaskId) filter._id = { $ne: exceptTaskId };
+    const shared = await Task.exists(filter).setOptions({ withDeleted: true });
+    if (!shared) removeUpload(url);
+  }
+};
+
+// Delete a task's content files unless another task still uses them
+const removeTaskFiles = (task) => removeUnusedUploads(task.contentUrls || [], task._id);
+
+module.exports = { cloneCourse, removeUnusedUploads, removeTaskFiles };
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const Course = require('../models/course.model');
+const Skill = require('../models/skill.model');
+const Task = require('../models/task.model');
+const { uploadsDir, removeUpload, PACKAGE_MAX_BYTES } = require('../middleware/uploadMiddleware');
+const { ANSWER_KEY, normalizeQuiz, quizDefinition } = require('./quiz');
+const { INSTRUCTION_FORMATS, normalizeLinks } = require('./richText');
+
+// A course package is a zip holding course.json and the task files under files/
+const PACKAGE_FORMAT = 'ping-gamify-course';
+const PACKAGE_VERSION = 1;
+const MANIFEST_NAME = 'course.json';
+const MANIFEST_MAX_BYTES = 10 * 1024 * 1024;
+const TASK_TYPES = Task.schema.path('type').enumValues;
+
+// Zip of the course, its skills and tasks, and every uploaded file the tasks reference
+const buildCoursePackage = async (courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course) return null;
+  const skills = await Skill.find({ course: course._id });
+  const byId = new Map(skills.map(skill => [skill._id.toString(), skill]));
+  const ordered = course.skills.map(id => byId.get(id.toString())).filter(Boolean);
+  skills.forEach(skill => { if (!ordered.includes(skill)) ordered.push(skill); });
+
+  const zip = new AdmZip();
+  const manifestSkills = [];
+  for (const skill of ordered) {
+    const tasks = await Task.find({ _id: { $in: skill.tasks } }).select(ANSWER_KEY);
+    const taskById = new Map(tasks.map(task => [task._id.toString(), task]));
+    const manifestTasks = [];
+    for (const taskId of skill.tasks) {
+      const task = taskById.get(taskId.toString());
+      if (!task) continue;
+      const files = [];
+      for (const url of task.contentUrls) {
+        const filename = path.basename(url);
+        const filePath = path.join(uploadsDir, filename);
+        // Files missing on disk are left out; tasks of cloned courses share files, so store each once
+        if (!fs.existsSync(filePath)) continue;
+        if (!zip.getEntry(`files/${filename}`)) {
+          zip.addLocalFile(filePath, 'files');
+        }
+        files.push(`files/${filename}`);
+      }
+      manifestTasks.push({
+        id: task._id.toString(),
+        title: task.title,
+        type: task.type,
+        instructions: task.instructions,
+        instructionsFormat: task.instructionsFormat,
+        links: task.links.map(link => ({ url: link.url, title: link.title })),
+        deadline: task.deadline || null,
+        latePolicy: task.latePolicy,
+        status: task.status,
+        releaseAt: task.releaseAt,
+        files,
+        ...(task.quiz ? { quiz: quizDefinition(task.quiz) } : {}),
+      });
+    }
+    manifestSkills.push({
+      id: skill._id.toString(),
+      title: skill.title,
+      description: skill.description,
+      unlockCondition: skill.unlockCondition,
+      sequential: skill.sequential,
+      status: skill.status,
+      releaseAt: skill.releaseAt,
+      prerequisites: skill.prerequisites.map(id => id.toString()),
+      tasks: manifestTasks,
+    });
+  }
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date(),
+    course: {
+      name: course.name,
+      description: course.description,
+      visibility: course.visibility,
+      requiresApproval: course.requiresApproval,
+      maxSeats: course.maxSeats,
+      tags: course.tags,
+    },
+    skills: manifestSkills,
+  };
+  zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+  return zip.toBuffer();
+};
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Sizes come from the entry headers, so nothing is decompressed before it has been checked
+const unpackedSize = (entry) => entry.header.size;
+
+// Structural problems with a parsed manifest; an empty list means it can be imported
+const validateManifest = (manifest, zip) => {
+  const errors = [];
+  if (!isObject(manifest) || manifest.format !== PACKAGE_FORMAT) {
+    return [`${MANIFEST_NAME} is not a ${PACKAGE_FORMAT} manifest`];
+  }
+  if (manifest.version !== PACKAGE_VERSION) {
+    return [`Unsupported package version ${manifest.version}; expected ${PACKAGE_VERSION}`];
+  }
+  if (!isObject(manifest.course) || !isText(manifest.course.name)) errors.push('course.name is required');
+  if (!Array.isArray(manifest.skills)) return [...errors, 'skills must be an array'];
+
+  const skillIds = new Set();
+  const taskIds = new Set();
+  const files = new Set();
+  manifest.skills.forEach((skill, i) => {
+    const where = `skills[${i}]`;
+    if (!isObject(skill)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!isText(skill.id) || skillIds.has(skill.id)) errors.push(`${where}.id is missing or duplicated`);
+    skillIds.add(skill.id);
+    if (!isText(skill.title)) errors.push(`${where}.title is required`);
+    if (!isText(skill.description)) errors.push(`${where}.description is required`);
+    if (!Array.isArray(skill.tasks)) {
+      errors.push(`${where}.tasks must be an array`);
+      return;
+    }
+    if (skill.prerequisites !== undefined
+      && !(Array.isArray(skill.prerequisites) && skill.prerequisites.every(isText))) {
+      errors.push(`${where}.prerequisites must be a list of skill ids`);
+    }
+    skill.tasks.forEach((task, j) => {
+      const taskWhere = `${where}.tasks[${j}]`;
+      if (!isObject(task)) {
+        errors.push(`${taskWhere} must be an object`);
+        return;
+      }
+      if (!isText(task.id) || taskIds.has(task.id)) errors.push(`${taskWhere}.id is missing or duplicated`);
+      taskIds.add(task.id);
+      if (!isText(task.title)) errors.push(`${taskWhere}.title is required`);
+      if (!TASK_TYPES.includes(task.type)) errors.push(`${taskWhere}.type must be one of: ${TASK_TYPES.join(', ')}`);
+      if (task.deadline && Number.isNaN(new Date(task.deadline).getTime())) errors.push(`${taskWhere}.deadline is not a date`);
+      if (task.instructions !== undefined && typeof task.instructions !== 'string') errors.push(`${taskWhere}.instructions must be text`);
+      if (task.instructionsFormat !== undefined && !INSTRUCTION_FORMATS.includes(task.instructionsFormat)) {
+        errors.push(`${taskWhere}.instructionsFormat must be one of: ${INSTRUCTION_FORMATS.join(', ')}`);
+      }
+      normalizeLinks(task.links).errors.forEach(error => errors.push(`${taskWhere}.${error}`));
+      if (['video', 'pdf'].includes(task.type) && !(Array.isArray(task.files) && task.files.length > 0)) {
+        errors.push(`${taskWhere} is a ${task.type} task without files`);
+      }
+      if (task.type === 'quiz') {
+        normalizeQuiz(task.quiz).errors.forEach(error => errors.push(`${taskWhere}.quiz: ${error}`));
+      }
+      (Array.isArray(task.files) ? task.files : []).forEach(file => {
+        // Only flat files under files/ are accepted, so nothing can be written outside uploads/
+        if (typeof file !== 'string' || !/^files\/[^/\\]+$/.test(file) || file.includes('..')) {
+          errors.push(`${taskWhere} references an invalid file path '${file}'`);
+        } else if (!zip.getEntry(file)) {
+          errors.push(`${taskWhere} references '${file}', which is missing from the archive`);
+        } else {
+          files.add(file);
+        }
+      });
+    });
+  });
+
+  const filesSize = [...files].reduce((sum, file) => sum + unpackedSize(zip.getEntry(file)), 0);
+  if (filesSize > PACKAGE_MAX_BYTES) {
+    errors.push(`The task files unpack to more than ${PACKAGE_MAX_BYTES / (1024 * 1024)} MB`);
+  }
+  if (errors.length > 0) return errors;
+
+  // Prerequisites must point at skills in the package and must not form a cycle
+  const graph = new Map(manifest.skills.map(skill => [skill.id, skill.prerequisites || []]));
+  graph.forEach((prerequisites, id) => {
+    prerequisites.filter(p => !graph.has(p))
+      .forEach(p => errors.push(`Skill '${id}' has an unknown prerequisite '${p}'`));
+  });
+  const state = new Map();
+  const visit = (id) => {
+    if (state.get(id) === 'done') return false;
+    if (state.get(id) === 'active') return true;
+    state.set(id, 'active');
+    const cyclic = (graph.get(id) || []).some(p => graph.has(p) && visit(p));
+    state.set(id, 'done');
+    return cyclic;
+  };
+  if ([...graph.keys()].some(visit)) errors.push('Skill prerequisites form a cycle');
+
+  return errors;
+};
+
+// Parse and validate an uploaded package. Returns { zip, manifest, errors }.
+const readCoursePackage = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+    zip.getEntries();
+  } catch (error) {
+    return { errors: ['The file is not a valid zip archive'] };
+  }
+  const entry = zip.getEntry(MANIFEST_NAME);
+  if (!entry) return { errors: [`The archive has no ${MANIFEST_NAME}`] };
+  if (unpackedSize(entry) > MANIFEST_MAX_BYTES) {
+    return { errors: [`${MANIFEST_NAME} is larger than ${MANIFEST_MAX_BYTES / (1024 * 1024)} MB`] };
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(entry.getData().toString('utf8'));
+  } catch (error) {
+    return { errors: [`${MANIFEST_NAME} is not valid JSON`] };
+  }
+  return { zip, manifest, errors: validateManifest(manifest, zip) };
+};
+
+// What importing would clash with for this coach, and what would be created
+const describeImport = async (manifest, coachId, { name } = {}) => {
+  const courseName = name || manifest.course.name;
+  const conflicts = [];
+  if (await Course.exists({ coach: coachId, name: courseName })) {
+    conflicts.push({ type: 'courseName', message: `You already have a course named '${courseName}'` });
+  }
+  const files = new Set(manifest.skills.flatMap(skill => skill.tasks.flatMap(task => task.files || [])));
+  return {
+    conflicts,
+    summary: {
+      courseName,
+      skills: manifest.skills.length,
+      tasks: manifest.skills.reduce((sum, skill) => sum + skill.tasks.length, 0),
+      files: files.size,
+    },
+  };
+};
+
+// Rebuild the package under `coachId` with fresh ids; nothing is left behind if any step fails
+const importCoursePackage = async ({ zip, manifest }, coachId, { name } = {}) => {
+  const writtenFiles = new Map();
+  const storeFile = (file) => {
+    if (!writtenFiles.has(file)) {
+      const originalName = path.basename(file).replace(/^\d+-/, '');
+      let stamp = Date.now();
+      while (fs.existsSync(path.join(uploadsDir, stamp + '-' + originalName))) stamp++;
+      const filename = stamp + '-' + originalName;
+      fs.writeFileSync(path.join(uploadsDir, filename), zip.getEntry(file).getData());
+      writtenFiles.set(file, 'uploads/' + filename);
+    }
+    return writtenFiles.get(file);
+  };
+
+  const course = await Course.create({
+    name: name || manifest.course.name,
+    description: manifest.course.description,
+    coach: coachId,
+    visibility: manifest.course.visibility,
+    requiresApproval: manifest.course.requiresApproval,
+    maxSeats: manifest.course.maxSeats,
+    tags: Array.isArray(manifest.course.tags) ? manifest.course.tags : [],
+  });
+
+  try {
+    const skillMap = new Map();
+    for (const skill of manifest.skills) {
+      const created = await Skill.create({
+        title: skill.title,
+        description: skill.description,
+        course: course._id,
+        unlockCondition: skill.unlockCondition,
+        sequential: skill.sequential === true,
+        status: skill.status,
+        releaseAt: skill.releaseAt || null,
+      });
+      skillMap.set(skill.id, created);
+      for (const task of skill.tasks) {
+        const createdTask = await Task.create({
+          title: task.title,
+          type: task.type,
+          instructions: task.instructions || '',
+          instructionsFormat: task.instructionsFormat || 'markdown',
+          links: normalizeLinks(task.links).links,
+          contentUrls: (task.files || []).map(storeFile),
+          quiz: task.type === 'quiz' ? normalizeQuiz(task.quiz).quiz : undefined,
+          skill: created._id,
+          deadline: task.deadline ? new Date(task.deadline) : undefined,
+          latePolicy: task.latePolicy || undefined,
+          status: task.status,
+          releaseAt: task.releaseAt ? new Date(task.releaseAt) : null,
+        });
+        created.tasks.push(createdTask._id);
+      }
+      await created.save();
+    }
+
+    for (const skill of manifest.skills) {
+      if (!Array.isArray(skill.prerequisites) || skill.prerequisites.length === 0) continue;
+      const created = skillMap.get(skill.id);
+      created.prerequisites = skill.prerequisites.map(id => skillMap.get(id)._id);
+      await created.save();
+    }
+
+    course.skills = manifest.skills.map(skill => skillMap.get(skill.id)._id);
+    await course.save();
+    return course;
+  } catch (error) {
+    const createdSkills = await Skill.find({ course: course._id }).select('_id');
+    await Task.deleteMany({ skill: { $in: createdSkills.map(skill => skill._id) } });
+    await Skill.deleteMany({ course: course._id });
+    await Course.deleteOne({ _id: course._id });
+    writtenFiles.forEach(url => removeUpload(url));
+    throw error;
+  }
+};
+
+module.exports = { buildCoursePackage, readCoursePackage, describeImport, importCoursePackage };
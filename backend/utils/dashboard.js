@@ -0,0 +1,234 @@
+const User = require('../models/user.model');
+const Progress = require('../models/progress.model');
+const Task = require('../models/task.model');
+const Skill = require('../models/skill.model');
+const { releasedSkills } = require('./release');
+
+const SORT_FIELDS = {
+  name: 'name',
+  email: 'email',
+  completion: 'progress.completionPercentage',
+  rating: 'progress.averageRating',
+  pendingReviews: 'progress.pendingReviews',
+  lastActivity: 'progress.lastActivity',
+  overdue: 'progress.overdueTasks',
+  late: 'progress.lateTasks',
+};
+
+// Math.round to `digits` decimals (the $round operator rounds half to even)
+const roundExpr = (expr, digits = 0) => {
+  const factor = 10 ** digits;
+  return { $divide: [{ $floor: { $add: [{ $multiply: [expr, factor] }, 0.5] } }, factor] };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// $match stage for the student list filters; course-wide stats ignore them
+const buildFilter = ({ search, minCompletion, maxCompletion, minRating, maxRating, pendingReviews, overdue, activeAfter, activeBefore }) => {
+  const filter = {};
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  const range = (field, min, max) => {
+    if (min === undefined && max === undefined) return;
+    filter[field] = {};
+    if (min !== undefined) filter[field].$gte = min;
+    if (max !== undefined) filter[field].$lte = max;
+  };
+  range('progress.completionPercentage', minCompletion, maxCompletion);
+  range('progress.averageRating', minRating, maxRating);
+  if (pendingReviews === true) filter['progress.pendingReviews'] = { $gt: 0 };
+  if (pendingReviews === false) filter['progress.pendingReviews'] = 0;
+  if (overdue === true) filter['progress.overdueTasks'] = { $gt: 0 };
+  if (overdue === false) filter['progress.overdueTasks'] = 0;
+  if (activeAfter || activeBefore) {
+    filter['progress.lastActivity'] = {};
+    if (activeAfter) filter['progress.lastActivity'].$gte = activeAfter;
+    if (activeBefore) filter['progress.lastActivity'].$lt = activeBefore;
+  }
+  return filter;
+};
+
+// Released tasks of the course that have a deadline, with the students' extensions
+const deadlineTasks = async (courseId) => {
+  const skills = await Skill.find({ course: courseId }).populate('tasks', 'deadline extensions status releaseAt');
+  return releasedSkills(skills)
+    .flatMap(skill => skill.tasks)
+    .filter(task => task.deadline || task.extensions.length > 0)
+    .map(task => ({
+      task: task._id,
+      deadline: task.deadline || null,
+      extensions: task.extensions.map(extension => ({ user: extension.user, deadline: extension.deadline })),
+    }));
+};
+
+// Number of deadline tasks whose deadline (or the student's extension) has passed without the
+// student handing anything in
+const overdueCountExpr = (tasks, now) => ({
+  $size: {
+    $filter: {
+      input: { $literal: tasks },
+      as: 'd',
+      cond: {
+        $let: {
+          vars: {
+            deadline: {
+              $ifNull: [
+                { $first: { $map: { input: { $filter: { input: '$$d.extensions', as: 'e', cond: { $eq: ['$$e.user', '$_id'] } } }, as: 'e', in: '$$e.deadline' } } },
+                '$$d.deadline',
+              ],
+            },
+          },
+          in: {
+            $and: [
+              { $ne: ['$$deadline', null] },
+              { $lt: ['$$deadline', now] },
+              { $not: [{ $in: ['$$d.task', '$handedIn'] }] },
+            ],
+          },
+        },
+      },
+    },
+  },
+});
+
+// Per-student progress and course-wide stats for the coach dashboard, computed in one aggregation.
+// `options` carries the already-validated filters plus sortBy, order, page and limit.
+const buildDashboard = async (course, totalTasks, options) => {
+  const { sortBy = 'name', order = 'asc', page = 1, limit = 50 } = options;
+  const direction = order === 'desc' ? -1 : 1;
+  const ratedTasks = {
+    $filter: {
+      input: '$tp',
+      as: 'entry',
+      cond: { $gt: [{ $ifNull: ['$$entry.coachRating', 0] }, 0] },
+    },
+  };
+
+  const overdueExpr = overdueCountExpr(await deadlineTasks(course._id), new Date());
+
+  const [result] = await User.aggregate([
+    { $match: { _id: { $in: course.students }, role: { $ne: 'coach' } } },
+    {
+      $lookup: {
+        from: Progress.collection.name,
+        let: { userId: '$_id' },
+        pipeline: [{ $match: { $expr: { $and: [{ $eq: ['$user', '$$userId'] }, { $eq: ['$course', course._id] }] } } }],
+        as: 'progressDocs',
+      },
+    },
+    { $addFields: { p: { $first: '$progressDocs' } } },
+    {
+      $addFields: {
+        tp: { $ifNull: ['$p.taskProgress', []] },
+        completed: { $size: { $ifNull: ['$p.completedTasks', []] } },
+      },
+    },
+    {
+      // Tasks the student completed or submitted work for
+      $addFields: {
+        handedIn: {
+          $concatArrays: [
+            { $ifNull: ['$p.completedTasks', []] },
+            {
+              $map: {
+                input: { $filter: { input: '$tp', as: 'entry', cond: { $gt: [{ $ifNull: ['$$entry.submittedAt', null] }, null] } } },
+                as: 'entry',
+                in: '$$entry.task',
+              },
+            },
+          ],
+        },
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        email: 1,
+        role: 1,
+        progress: {
+          completedTasks: '$completed',
+          totalTasks: { $literal: totalTasks },
+          completionPercentage: totalTasks > 0 ? roundExpr({ $divide: [{ $multiply: ['$completed', 100] }, totalTasks] }) : { $literal: 0 },
+          averageRating: {
+            $cond: [{ $gt: [{ $size: ratedTasks }, 0] }, roundExpr({ $avg: { $map: { input: ratedTasks, as: 'r', in: '$$r.coachRating' } } }, 1), 0],
+          },
+          lastActivity: { $ifNull: ['$p.lastActivity', null] },
+          pendingReviews: {
+            $size: {
+              $filter: {
+                input: '$tp',
+                as: 'entry',
+                cond: { $and: [{ $eq: ['$$entry.submittedForReview', true] }, { $not: [{ $gt: [{ $ifNull: ['$$entry.coachRating', 0] }, 0] }] }] },
+              },
+            },
+          },
+          overdueTasks: overdueExpr,
+          lateTasks: { $size: { $filter: { input: '$tp', as: 'entry', cond: { $eq: ['$$entry.late', true] } } } },
+          taskProgress: '$tp',
+        },
+      },
+    },
+    {
+      $facet: {
+        stats: [{
+          $group: {
+            _id: null,
+            totalStudents: { $sum: 1 },
+            averageCompletion: { $avg: '$progress.completionPercentage' },
+            averageRating: { $avg: '$progress.averageRating' },
+            pendingReviews: { $sum: '$progress.pendingReviews' },
+            overdueTasks: { $sum: '$progress.overdueTasks' },
+            studentsWithOverdue: { $sum: { $cond: [{ $gt: ['$progress.overdueTasks', 0] }, 1, 0] } },
+            lateTasks: { $sum: '$progress.lateTasks' },
+          },
+        }],
+        matching: [{ $match: buildFilter(options) }, { $count: 'total' }],
+        students: [
+          { $match: buildFilter(options) },
+          { $sort: { [SORT_FIELDS[sortBy]]: direction, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+      },
+    },
+  ]);
+
+  // Only the page's task progress is populated, with the task's skill
+  const students = result.students;
+  const taskIds = [...new Set(students.flatMap(s => s.progress.taskProgress.map(tp => tp.task.toString())))];
+  const tasks = await Task.find({ _id: { $in: taskIds } }).populate('skill', 'title');
+  const taskById = new Map(tasks.map(task => [task._id.toString(), task.toObject()]));
+  students.forEach(student => {
+    student.progress.taskProgress = student.progress.taskProgress
+      .map(tp => ({ ...tp, task: taskById.get(tp.task.toString()) || null }));
+  });
+
+  const stats = result.stats[0] || {
+    totalStudents: 0,
+    averageCompletion: 0,
+    averageRating: 0,
+    pendingReviews: 0,
+    overdueTasks: 0,
+    studentsWithOverdue: 0,
+    lateTasks: 0,
+  };
+  const total = result.matching.length > 0 ? result.matching[0].total : 0;
+  return {
+    students,
+    stats: {
+      totalStudents: stats.totalStudents,
+      totalTasks,
+      averageCompletion: Math.round(stats.averageCompletion || 0),
+      averageRating: Math.round((stats.averageRating || 0) * 10) / 10,
+      pendingReviews: stats.pendingReviews,
+      overdueTasks: stats.overdueTasks,
+      studentsWithOverdue: stats.studentsWithOverdue,
+      lateTasks: stats.lateTasks,
+    },
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+module.exports = { SORT_FIELDS, buildDashboard };
@@ -0,0 +1,59 @@
+const Task = require('../models/task.model');
+const { XP_REWARDS } = require('./xpLedger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields the deadline helpers need when loading a task
+const DEADLINE_FIELDS = 'title deadline latePolicy extensions';
+
+// The deadline that applies to a student: their extension if the coach granted one, else the task's
+const effectiveDeadline = (task, userId) => {
+  const extension = (task.extensions || []).find(entry => entry.user.toString() === userId.toString());
+  return extension ? extension.deadline : task.deadline || null;
+};
+
+// Whether work handed in at `at` is late, and by how many started days
+const lateness = (task, userId, at = new Date()) => {
+  const deadline = effectiveDeadline(task, userId);
+  if (!deadline || at <= deadline) return { deadline, late: false, daysLate: 0 };
+  return { deadline, late: true, daysLate: Math.ceil((at - deadline) / DAY_MS) };
+};
+
+// Record on a taskProgress entry whether the work handed in at `at` was late
+const applyLateness = (tp, task, userId, at) => {
+  const { late, daysLate } = lateness(task, userId, at);
+  tp.late = late;
+  tp.daysLate = daysLate;
+};
+
+// Whether a 'reject' policy no longer accepts work from this student (past the deadline plus the grace period)
+const isClosed = (task, userId, at = new Date()) => {
+  const policy = task.latePolicy || {};
+  if (policy.mode !== 'reject') return false;
+  const deadline = effectiveDeadline(task, userId);
+  return !!deadline && at.getTime() > deadline.getTime() + (policy.graceDays || 0) * DAY_MS;
+};
+
+// The task when it no longer accepts work from this student, otherwise null
+const findClosedTask = async (taskId, userId, at = new Date()) => {
+  const task = await Task.findById(taskId).select(DEADLINE_FIELDS);
+  return task && isClosed(task, userId, at) ? task : null;
+};
+
+// Completion XP after the task's late penalty; never below zero
+const completionXp = (task, daysLate) => {
+  const policy = task.latePolicy || {};
+  if (policy.mode !== 'penalty' || daysLate <= 0) return XP_REWARDS.taskCompleted;
+  return Math.max(XP_REWARDS.taskCompleted - (policy.penaltyPerDay || 0) * daysLate, 0);
+};
+
+module.exports = {
+  DAY_MS,
+  DEADLINE_FIELDS,
+  effectiveDeadline,
+  lateness,
+  applyLateness,
+  isClosed,
+  findClosedTask,
+  completionXp,
+};
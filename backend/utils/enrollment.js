@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const Course = require('../models/course.model');
+const User = require('../models/user.model');
+
+// Fields only the course coach should see
+const PRIVATE_COURSE_FIELDS = ['joinCode', 'enrollmentRequests', 'waitlist'];
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+const isEnrolled = (course, userId) => course.students.some(id => sameId(id._id || id, userId));
+const isPending = (course, userId) => course.enrollmentRequests.some(r => sameId(r.user, userId));
+const isWaitlisted = (course, userId) => course.waitlist.some(w => sameId(w.user, userId));
+
+const hasFreeSeat = (course) => !course.maxSeats || course.students.length < course.maxSeats;
+
+// 8 characters from an alphabet without look-alikes (0/O, 1/I)
+const generateJoinCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+};
+
+const joinCodeIsValid = (course, code) => !!code
+  && !!course.joinCode && course.joinCode.code === String(code).trim().toUpperCase()
+  && (!course.joinCode.expiresAt || course.joinCode.expiresAt > new Date());
+
+// Roster changes are applied to the database with single conditional updates, so concurrent
+// requests cannot take more seats than the course has. The loaded course is then brought in line
+// without marking these paths modified, so the caller's save() does not overwrite other requests.
+const ROSTER_PATHS = ['students', 'enrollmentRequests', 'waitlist'];
+
+const mirrorRoster = (course, change) => {
+  change(course);
+  ROSTER_PATHS.forEach(path => course.unmarkModified(path));
+};
+
+const withoutUser = (course, userId) => {
+  course.enrollmentRequests = course.enrollmentRequests.filter(r => !sameId(r.user, userId));
+  course.waitlist = course.waitlist.filter(w => !sameId(w.user, userId));
+};
+
+// Put a user on the course roster (course.students and user.enrolledCourses) if a seat is free.
+// Returns false when the course is full.
+const seatStudent = async (course, userId) => {
+  const filter = { _id: course._id };
+  if (course.maxSeats) {
+    // Already seated students keep their seat; anyone else needs one of the free ones
+    filter.$or = [
+      { students: userId },
+      { $expr: { $lt: [{ $size: '$students' }, course.maxSeats] } },
+    ];
+  }
+  const result = await Course.updateOne(filter, {
+    $addToSet: { students: userId },
+    $pull: { enrollmentRequests: { user: userId }, waitlist: { user: userId } },
+  });
+  if (result.matchedCount === 0) return false;
+  mirrorRoster(course, doc => {
+    withoutUser(doc, userId);
+    if (!isEnrolled(doc, userId)) doc.students.push(userId);
+  });
+  await User.updateOne({ _id: userId }, { $addToSet: { enrolledCourses: course._id } });
+  return true;
+};
+
+// Seat an approved student, or put them on the waitlist when the course is full.
+// Returns 'enrolled' or 'waitlisted'.
+const admitStudent = async (course, userId) => {
+  if (await seatStudent(course, userId)) return 'enrolled';
+  await Course.updateOne(
+    { _id: course._id },
+    { $pull: { enrollmentRequests: { user: userId } } }
+  );
+  await Course.updateOne(
+    { _id: course._id, 'waitlist.user': { $ne: userId } },
+    { $push: { waitlist: { user: userId } } }
+  );
+  mirrorRoster(course, doc => {
+    doc.enrollmentRequests = doc.enrollmentRequests.filter(r => !sameId(r.user, userId));
+    if (!isWaitlisted(doc, userId)) doc.waitlist.push({ user: userId });
+  });
+  return 'waitlisted';
+};
+
+// A student asks to join: they are queued for approval if the course requires it,
+// otherwise admitted. Returns 'pending', 'enrolled' or 'waitlisted'.
+const requestEnrollment = async (course, userId) => {
+  if (course.requiresApproval) {
+    await Course.updateOne(
+      { _id: course._id, 'enrollmentRequests.user': { $ne: userId } },
+      { $push: { enrollmentRequests: { user: userId } } }
+    );
+    mirrorRoster(course, doc => {
+      if (!isPending(doc, userId)) doc.enrollmentRequests.push({ user: userId });
+    });
+    return 'pending';
+  }
+  return admitStudent(course, userId);
+};
+
+// Fill free seats from the front of the waitlist. Returns the promoted user ids.
+const promoteFromWaitlist = async (course) => {
+  const promoted = [];
+  while (course.waitlist.length > 0 && hasFreeSeat(course)) {
+    const next = course.waitlist[0];
+    if (!(await seatStudent(course, next.user))) break;
+    promoted.push(next.user);
+  }
+  return promoted;
+};
+
+// Take a user off the roster, the approval queue and the waitlist, then promote waitlisted students
+// into any seat that freed up. Returns the promoted user ids.
+const removeStudent = async (course, userId) => {
+  await Course.updateOne({ _id: course._id }, {
+    $pull: { students: userId, enrollmentRequests: { user: userId }, waitlist: { user: userId } },
+  });
+  mirrorRoster(course, doc => {
+    doc.students = doc.students.filter(id => !sameId(id, userId));
+    withoutUser(doc, userId);
+  });
+  await User.updateOne({ _id: userId }, { $pull: { enrolledCourses: course._id } });
+  return promoteFromWaitlist(course);
+};
+
+module.exports = {
+  PRIVATE_COURSE_FIELDS,
+  isEnrolled,
+  isPending,
+  isWaitlisted,
+  hasFreeSeat,
+  generateJoinCode,
+  joinCodeIsValid,
+  admitStudent,
+  requestEnrollment,
+  promoteFromWaitlist,
+  removeStudent,
+};
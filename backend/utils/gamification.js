@@ -0,0 +1,35 @@
+const { awardBadges } = require('./badgeEngine');
+const { awardXp, reverseActiveEntries } = require('./xpLedger');
+const { getLevelStatus, detectLevelUps } = require('./levels');
+const { recordActivity, getStreakStatus } = require('./streaks');
+const { evaluateChallenges } = require('./challenges');
+
+// Everything that happens after a student makes progress: the day counts towards their
+// streak (when the event is the student's own activity), superseded XP is reversed, new XP
+// is appended to the ledger, challenges and badge rules are evaluated and level changes detected.
+// The result is spread into the route's JSON response.
+const processProgressEvent = async ({ userId, courseId, xp = [], reverse = [], createdBy, activity = false }) => {
+  const before = await getLevelStatus(userId, courseId);
+
+  let streak;
+  if (activity) {
+    const recorded = await recordActivity(userId);
+    streak = { ...getStreakStatus(recorded.streak), newEvents: recorded.events };
+  }
+
+  for (const { reason, ...filter } of reverse) {
+    await reverseActiveEntries({ user: userId, ...filter }, { createdBy, reason });
+  }
+  for (const award of xp) {
+    await awardXp({ user: userId, course: courseId, createdBy, ...award });
+  }
+  const completedChallenges = await evaluateChallenges(userId, courseId);
+  const newBadges = await awardBadges(userId);
+
+  const after = await getLevelStatus(userId, courseId);
+  const result = { newBadges, levelUps: detectLevelUps(before, after), completedChallenges };
+  if (streak) result.streak = streak;
+  return result;
+};
+
+module.exports = { processProgressEvent };
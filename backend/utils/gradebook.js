@@ -0,0 +1,84 @@
+const ExcelJS = require('exceljs');
+const Skill = require('../models/skill.model');
+const User = require('../models/user.model');
+const Progress = require('../models/progress.model');
+const { toCsv } = require('./csv');
+
+const dateOnly = (date) => (date ? date.toISOString().slice(0, 10) : '-');
+
+const inRange = (date, from, to) => !!date && (!from || date >= from) && (!to || date <= to);
+
+const reviewStatus = (tp) => {
+  if (tp.coachRating) return 'Rated';
+  if (tp.reviewed) return tp.approved === false ? 'Rejected' : 'Approved';
+  if (tp.submittedForReview) return 'Pending review';
+  return 'Not submitted';
+};
+
+// "Done | 4/5 | Rated | 2026-03-01": completion, coach rating, review status and submission date
+const formatCell = (tp) => [
+  tp.completed ? 'Done' : 'Not done',
+  tp.coachRating ? `${tp.coachRating}/5` : '-',
+  reviewStatus(tp),
+  dateOnly(tp.submittedAt),
+].join(' | ');
+
+// One row per student and one column per task, then completion % and average rating.
+// `skillId` limits the columns to one skill; `from`/`to` only count task work done in that range.
+const buildGradebook = async (course, { skillId, from, to } = {}) => {
+  const skillFilter = { course: course._id };
+  if (skillId) skillFilter._id = skillId;
+  const skills = await Skill.find(skillFilter).populate('tasks', 'title');
+  const order = course.skills.map(id => id.toString());
+  skills.sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()));
+  const tasks = skills.flatMap(skill => skill.tasks.map(task => ({ id: task._id.toString(), header: `${skill.title} / ${task.title}` })));
+
+  const students = await User.find({ _id: { $in: course.students }, role: { $ne: 'coach' } })
+    .select('name email')
+    .sort({ name: 1 });
+  const progresses = await Progress.find({ course: course._id, user: { $in: students.map(s => s._id) } })
+    .select('user taskProgress');
+  const progressByUser = new Map(progresses.map(p => [p.user.toString(), p]));
+
+  const rows = students.map(student => {
+    const progress = progressByUser.get(student._id.toString());
+    const entries = new Map();
+    (progress ? progress.taskProgress : []).forEach(tp => {
+      const counted = (!from && !to)
+        || [tp.completedAt, tp.submittedAt, tp.coachRatedAt].some(date => inRange(date, from, to));
+      if (counted) entries.set(tp.task.toString(), tp);
+    });
+    const cells = tasks.map(task => (entries.has(task.id) ? formatCell(entries.get(task.id)) : ''));
+    const taskEntries = tasks.map(task => entries.get(task.id)).filter(Boolean);
+    const completed = taskEntries.filter(tp => tp.completed).length;
+    const ratings = taskEntries.filter(tp => tp.coachRating).map(tp => tp.coachRating);
+    return [
+      student.name,
+      student.email,
+      ...cells,
+      tasks.length > 0 ? Math.round((completed / tasks.length) * 100) : 0,
+      ratings.length > 0 ? Math.round((ratings.reduce((sum, r) => sum + r, 0) / ratings.length) * 10) / 10 : '',
+    ];
+  });
+
+  return { header: ['Student', 'Email', ...tasks.map(task => task.header), 'Completion %', 'Average rating'], rows };
+};
+
+const gradebookToCsv = ({ header, rows }) => toCsv(header, rows);
+
+const gradebookToXlsx = async ({ header, rows }, sheetName = 'Gradebook') => {
+  const workbook = new ExcelJS.Workbook();
+  // Sheet names are limited to 31 characters and may not contain []:*?/\
+  const sheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Gradebook', {
+    views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }],
+  });
+  sheet.addRow(header);
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  sheet.columns.forEach((column, i) => {
+    column.width = i < 2 ? 24 : Math.min(Math.max(String(header[i]).length, 14), 40);
+  });
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = { buildGradebook, gradebookToCsv, gradebookToXlsx };
@@ -0,0 +1,53 @@
+const { getXpTotals } = require('./xpLedger');
+
+const WINDOWS = ['weekly', 'monthly', 'all'];
+
+// Start of the current leaderboard window (UTC): Monday of this week, the 1st of this month, or null for all-time
+const windowStart = (window, now = new Date()) => {
+  if (window === 'weekly') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+    return start;
+  }
+  if (window === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return null;
+};
+
+// Highest score first; equal scores are ordered by name, then by id, so ranks never shuffle between requests
+const compareEntries = (a, b) => (b.score - a.score)
+  || a.name.localeCompare(b.name)
+  || a._id.toString().localeCompare(b._id.toString());
+
+// Rank `members` (users with _id and name) by XP earned in the window.
+// Users who opted out are hidden from everybody but themselves.
+const buildLeaderboard = async (members, viewerId, { course, window = 'all', page = 1, limit = 20, around = 2 } = {}) => {
+  const viewer = viewerId.toString();
+  const visible = members.filter(m => !m.leaderboardOptOut || m._id.toString() === viewer);
+  const totals = await getXpTotals(visible.map(m => m._id), { course, since: windowStart(window) });
+
+  const ranked = visible
+    .map(m => ({ _id: m._id, name: m.name, score: totals.get(m._id.toString()) || 0 }))
+    .sort(compareEntries)
+    .map((entry, index) => ({ rank: index + 1, user: { _id: entry._id, name: entry.name }, score: entry.score }));
+
+  const myIndex = ranked.findIndex(entry => entry.user._id.toString() === viewer);
+  const me = myIndex === -1 ? null : {
+    rank: ranked[myIndex].rank,
+    score: ranked[myIndex].score,
+    neighbours: ranked.slice(Math.max(0, myIndex - around), myIndex + around + 1),
+  };
+
+  return {
+    window,
+    page,
+    limit,
+    total: ranked.length,
+    entries: ranked.slice((page - 1) * limit, page * limit),
+    me,
+  };
+};
+
+module.exports = { WINDOWS, windowStart, buildLeaderboard };
@@ -0,0 +1,81 @@
+const LevelConfig = require('../models/levelConfig.model');
+const { getXpTotal } = require('./xpLedger');
+
+// Used until an admin saves a global config
+const DEFAULT_LEVEL_CONFIG = {
+  thresholds: [100, 250, 500, 1000, 1750, 2750, 4000, 5500, 7500],
+  tiers: [
+    { name: 'Bronze', minLevel: 1 },
+    { name: 'Silver', minLevel: 4 },
+    { name: 'Gold', minLevel: 7 },
+    { name: 'Platinum', minLevel: 10 },
+  ],
+};
+
+// The config that applies to a course (its own, else the global one), or the global config
+const getLevelConfig = async (courseId) => {
+  if (courseId) {
+    const courseConfig = await LevelConfig.findOne({ course: courseId });
+    if (courseConfig) return courseConfig;
+  }
+  const globalConfig = await LevelConfig.findOne({ course: null });
+  return globalConfig || DEFAULT_LEVEL_CONFIG;
+};
+
+// Level, tier and progress towards the next level for an XP total
+const levelFor = (xp, config) => {
+  const { thresholds } = config;
+  const reached = thresholds.filter(threshold => xp >= threshold).length;
+  const level = reached + 1;
+  const tier = [...config.tiers]
+    .sort((a, b) => b.minLevel - a.minLevel)
+    .find(t => level >= t.minLevel);
+  return {
+    level,
+    tier: tier ? tier.name : null,
+    xp,
+    levelXp: reached === 0 ? 0 : thresholds[reached - 1],
+    nextLevelXp: reached < thresholds.length ? thresholds[reached] : null,
+  };
+};
+
+// Global level, plus the course level when a course is given
+const getLevelStatus = async (userId, courseId) => {
+  const globalConfig = await getLevelConfig(null);
+  const status = { global: levelFor(await getXpTotal(userId), globalConfig), course: null };
+  if (courseId) {
+    const courseConfig = await getLevelConfig(courseId);
+    status.course = {
+      course: courseId,
+      ...levelFor(await getXpTotal(userId, { course: courseId }), courseConfig),
+    };
+  }
+  return status;
+};
+
+// Level-up events between two getLevelStatus() snapshots
+const detectLevelUps = (before, after) => {
+  const levelUps = [];
+  ['global', 'course'].forEach(scope => {
+    const from = before[scope];
+    const to = after[scope];
+    if (!from || !to || to.level <= from.level) return;
+    levelUps.push({
+      scope,
+      course: scope === 'course' ? to.course : null,
+      fromLevel: from.level,
+      toLevel: to.level,
+      tier: to.tier,
+      tierChanged: to.tier !== from.tier,
+    });
+  });
+  return levelUps;
+};
+
+module.exports = {
+  DEFAULT_LEVEL_CONFIG,
+  getLevelConfig,
+  levelFor,
+  getLevelStatus,
+  detectLevelUps,
+};
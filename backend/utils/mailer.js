@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+// Base URL of the frontend, used for links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.GMAIL_USER,
+        pass: process.env.GMAIL_PASS,
+      },
+    });
+  }
+  return transporter;
+};
+
+const sendMail = ({ to, subject, html }) => getTransporter().sendMail({ to, subject, html });
+
+module.exports = { APP_URL, sendMail };
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['single', 'multiple', 'trueFalse', 'shortAnswer'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Select string that adds the answer key to a Task query; only course staff and grading may use it
+const ANSWER_KEY = '+quiz.questions.correctOptions +quiz.questions.acceptedAnswers';
+
+// Attempts submitted this long after their time limit still count, to allow for network delay
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isOptionalPositive = (value) => value === undefined || value === null || value === ''
+  || (Number.isFinite(Number(value)) && Number(value) > 0);
+
+// Short answers match ignoring case and extra whitespace
+const normalizeAnswer = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Validate a quiz definition from a request body (an object, or a JSON string from a multipart form)
+// and bring it into the stored shape. Returns { quiz, errors }.
+const normalizeQuiz = (input) => {
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      return { quiz: null, errors: ['quiz is not valid JSON'] };
+    }
+  }
+  if (!raw || !Array.isArray(raw.questions) || raw.questions.length === 0) {
+    return { quiz: null, errors: ['A quiz needs at least one question'] };
+  }
+
+  const errors = [];
+  const questions = raw.questions.map((question, i) => {
+    const where = `questions[${i}]`;
+    const q = question || {};
+    if (!QUESTION_TYPES.includes(q.type)) {
+      errors.push(`${where}.type must be one of: ${QUESTION_TYPES.join(', ')}`);
+      return null;
+    }
+    if (!isText(q.prompt)) errors.push(`${where}.prompt is required`);
+    const points = q.points === undefined ? 1 : Number(q.points);
+    if (!Number.isFinite(points) || points < 0) errors.push(`${where}.points must be a number of at least 0`);
+
+    const normalized = { type: q.type, prompt: isText(q.prompt) ? q.prompt.trim() : '', points };
+    if (q._id && mongoose.isValidObjectId(q._id)) normalized._id = q._id;
+
+    if (q.type === 'shortAnswer') {
+      const accepted = (Array.isArray(q.acceptedAnswers) ? q.acceptedAnswers : []).filter(isText).map(a => a.trim());
+      if (accepted.length === 0) errors.push(`${where} needs at least one accepted answer`);
+      return { ...normalized, options: [], correctOptions: [], acceptedAnswers: accepted };
+    }
+
+    let options = Array.isArray(q.options) ? q.options : [];
+    let correct = Array.isArray(q.correctOptions) ? q.correctOptions.map(Number) : [];
+    if (q.type === 'trueFalse') {
+      options = TRUE_FALSE_OPTIONS;
+      if (typeof q.answer === 'boolean') correct = [q.answer ? 0 : 1];
+    } else if (options.length < 2 || !options.every(isText)) {
+      errors.push(`${where} needs at least two non-empty options`);
+    }
+    correct = [...new Set(correct)];
+    if (correct.some(index => !Number.isInteger(index) || index < 0 || index >= options.length)) {
+      errors.push(`${where}.correctOptions must be indexes into options`);
+    } else if (q.type === 'multiple' ? correct.length === 0 : correct.length !== 1) {
+      errors.push(q.type === 'multiple'
+        ? `${where} needs at least one correct option`
+        : `${where} needs exactly one correct option`);
+    }
+    return {
+      ...normalized,
+      options: options.map(option => (typeof option === 'string' ? option.trim() : option)),
+      correctOptions: correct.sort((a, b) => a - b),
+      acceptedAnswers: [],
+    };
+  });
+
+  const passingScore = raw.passingScore === undefined ? 70 : Number(raw.passingScore);
+  if (!Number.isFinite(passingScore) || passingScore < 0 || passingScore > 100) {
+    errors.push('passingScore must be a percentage between 0 and 100');
+  }
+  if (!isOptionalPositive(raw.maxAttempts) || (raw.maxAttempts && !Number.isInteger(Number(raw.maxAttempts)))) {
+    errors.push('maxAttempts must be a whole number of at least 1');
+  }
+  if (!isOptionalPositive(raw.timeLimitMinutes)) errors.push('timeLimitMinutes must be a positive number');
+
+  if (errors.length > 0) return { quiz: null, errors };
+  return {
+    quiz: {
+      questions,
+      passingScore,
+      maxAttempts: raw.maxAttempts ? Number(raw.maxAttempts) : null,
+      timeLimitMinutes: raw.timeLimitMinutes ? Number(raw.timeLimitMinutes) : null,
+    },
+    errors,
+  };
+};
+
+// A stored quiz (loaded with its ANSWER_KEY) as a plain definition without ids, for copies and exports
+const quizDefinition = (quiz) => ({
+  questions: quiz.questions.map(q => ({
+    type: q.type,
+    prompt: q.prompt,
+    options: [...q.options],
+    points: q.points,
+    correctOptions: [...(q.correctOptions || [])],
+    acceptedAnswers: [...(q.acceptedAnswers || [])],
+  })),
+  passingScore: quiz.passingScore,
+  maxAttempts: quiz.maxAttempts,
+  timeLimitMinutes: quiz.timeLimitMinutes,
+});
+
+// The quiz as a student sees it: questions and options, never the answer key
+const studentQuiz = (quiz) => ({
+  questions: quiz.questions.map(q => ({
+    _id: q._id,
+    type: q.type,
+    prompt: q.prompt,
+    options: q.options,
+    points: q.points,
+  })),
+  passingScore: quiz.passingScore,
+  maxAttempts: quiz.maxAttempts,
+  timeLimitMinutes: quiz.timeLimitMinutes,
+  totalPoints: quiz.questions.reduce((sum, q) => sum + q.points, 0),
+});
+
+const sameOptions = (chosen, correct) => chosen.length === correct.length
+  && [...chosen].sort((a, b) => a - b).every((option, i) => option === correct[i]);
+
+// Grade answers against a quiz loaded with its ANSWER_KEY. Multiple choice is all or nothing.
+// Returns { answers, results, score, maxScore, percentage, passed }; results say per question
+// whether the answer was right, without revealing the answer.
+const gradeQuiz = (quiz, submitted) => {
+  const byQuestion = new Map((Array.isArray(submitted) ? submitted : [])
+    .filter(answer => answer && answer.question)
+    .map(answer => [String(answer.question), answer]));
+
+  let score = 0;
+  let maxScore = 0;
+  const answers = [];
+  const results = quiz.questions.map(q => {
+    maxScore += q.points;
+    const answer = byQuestion.get(q._id.toString());
+    let correct = false;
+    if (answer) {
+      if (q.type === 'shortAnswer') {
+        const text = String(answer.text || '');
+        answers.push({ question: q._id, text });
+        correct = q.acceptedAnswers.some(accepted => normalizeAnswer(accepted) === normalizeAnswer(text));
+      } else {
+        const options = [...new Set((Array.isArray(answer.options) ? answer.options : []).map(Number))]
+          .filter(Number.isInteger);
+        answers.push({ question: q._id, options });
+        correct = sameOptions(options, q.correctOptions);
+      }
+    }
+    if (correct) score += q.points;
+    return { question: q._id, correct, points: correct ? q.points : 0 };
+  });
+
+  // A quiz worth no points is passed by taking it
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 100;
+  return { answers, results, score, maxScore, percentage, passed: percentage >= quiz.passingScore };
+};
+
+// Whether an in-progress attempt is past its time limit (plus the grace period)
+const attemptTimedOut = (attempt, now = new Date()) => !!attempt.expiresAt
+  && now.getTime() > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+
+module.exports = {
+  QUESTION_TYPES,
+  ANSWER_KEY,
+  SUBMIT_GRACE_MS,
+  normalizeQuiz,
+  quizDefinition,
+  studentQuiz,
+  gradeQuiz,
+  attemptTimedOut,
+};
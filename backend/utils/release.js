@@ -0,0 +1,53 @@
+const Course = require('../models/course.model');
+const Skill = require('../models/skill.model');
+const Task = require('../models/task.model');
+
+// Drafts are hidden from students, and published items with a future releaseAt stay hidden until then
+const isReleased = (item, now = new Date()) => !!item
+  && (item.status || 'published') === 'published'
+  && (!item.releaseAt || item.releaseAt <= now);
+
+// 'draft', 'scheduled' or 'released', for coach views
+const releaseState = (item, now = new Date()) => {
+  if ((item.status || 'published') === 'draft') return 'draft';
+  return isReleased(item, now) ? 'released' : 'scheduled';
+};
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Released skills with only their released tasks; `skills` must have their tasks populated
+const releasedSkills = (skills, now = new Date()) => skills
+  .filter(skill => isReleased(skill, now))
+  .map(skill => ({ ...toPlain(skill), tasks: (skill.tasks || []).filter(task => isReleased(task, now)).map(toPlain) }));
+
+// Every skill and task labelled with its release state; `skills` must have their tasks populated
+const labelReleaseStates = (skills, now = new Date()) => skills.map(skill => ({
+  ...toPlain(skill),
+  releaseState: releaseState(skill, now),
+  tasks: (skill.tasks || []).map(task => ({ ...toPlain(task), releaseState: releaseState(task, now) })),
+}));
+
+// Whether students can currently see (and work on) a task: it, its skill and its course must be released
+const isTaskAvailable = async (taskId, now = new Date()) => {
+  const task = await Task.findById(taskId).select('skill status releaseAt');
+  if (!isReleased(task, now)) return false;
+  const skill = await Skill.findById(task.skill).select('course status releaseAt');
+  if (!isReleased(skill, now)) return false;
+  const course = await Course.findById(skill.course).select('status releaseAt');
+  return isReleased(course, now);
+};
+
+// Number of tasks in a course students can currently see
+const countReleasedTasks = async (courseId, now = new Date()) => {
+  const skills = await Skill.find({ course: courseId }).populate('tasks', 'status releaseAt');
+  return releasedSkills(skills, now).reduce((sum, skill) => sum + skill.tasks.length, 0);
+};
+
+module.exports = {
+  isReleased,
+  releaseState,
+  releasedSkills,
+  labelReleaseStates,
+  isTaskAvailable,
+  countReleasedTasks,
+};
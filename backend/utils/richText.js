@@ -0,0 +1,64 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const INSTRUCTION_FORMATS = ['markdown', 'html'];
+const MAX_LINKS = 20;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del'],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    td: ['align'],
+    th: ['align'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  // Links in instructions open in a new tab without access to the app's window
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' }),
+  },
+};
+
+// Task instructions as safe HTML: Markdown is rendered first, then everything is sanitized
+const renderInstructions = (source, format = 'markdown') => {
+  if (!source) return '';
+  const html = format === 'html' ? source : marked.parse(source);
+  return sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+};
+
+const isWebUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate external links from a request body (an array, or a JSON string from a multipart form).
+// Each link is a URL string or { url, title }. Returns { links, errors }.
+const normalizeLinks = (input) => {
+  let raw = input;
+  if (raw === undefined || raw === null || raw === '') return { links: [], errors: [] };
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      // A single URL sent as a plain form field
+      raw = [raw];
+    }
+  }
+  if (!Array.isArray(raw)) return { links: [], errors: ['links must be an array'] };
+  if (raw.length > MAX_LINKS) return { links: [], errors: [`A task can have at most ${MAX_LINKS} links`] };
+
+  const errors = [];
+  const links = raw.map((link, i) => {
+    const url = String((link && typeof link === 'object' ? link.url : link) || '').trim();
+    const title = link && typeof link === 'object' && link.title ? String(link.title).trim() : '';
+    if (!isWebUrl(url)) errors.push(`links[${i}] must be an http or https URL`);
+    return { url, title };
+  });
+  return { links: errors.length > 0 ? [] : links, errors };
+};
+
+module.exports = { INSTRUCTION_FORMATS, renderInstructions, isWebUrl, normalizeLinks };
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const Student = require('../models/student.model');
+const { parseCsv } = require('./csv');
+const { isEnrolled, admitStudent } = require('./enrollment');
+const { isCourseStaff } = require('./courseAccess');
+const { APP_URL, sendMail } = require('./mailer');
+
+const ROSTER_MAX_ROWS = 1000;
+// Days a roster invitation link stays valid
+const INVITE_EXPIRY_DAYS = Number(process.env.INVITE_EXPIRY_DAYS) || 14;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Read a roster CSV. The header row needs an email column and either a name column or
+// first/last name columns. Returns { entries: [{ row, name, email }], error }.
+const parseRoster = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { entries: [], error: 'The roster is empty' };
+  const header = rows[0].map(cell => cell.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+  const column = (...names) => header.findIndex(cell => names.includes(cell));
+  const emailColumn = column('email', 'emailaddress', 'mail');
+  const nameColumn = column('name', 'fullname', 'studentname');
+  const firstColumn = column('firstname', 'givenname');
+  const lastColumn = column('lastname', 'surname', 'familyname');
+  if (emailColumn < 0) return { entries: [], error: 'The roster needs an email column' };
+  if (rows.length - 1 > ROSTER_MAX_ROWS) {
+    return { entries: [], error: `A roster can have at most ${ROSTER_MAX_ROWS} students` };
+  }
+
+  const cell = (cells, index) => (index >= 0 && cells[index] ? cells[index].trim() : '');
+  const entries = rows.slice(1).map((cells, i) => ({
+    // Row 1 is the header
+    row: i + 2,
+    name: nameColumn >= 0
+      ? cell(cells, nameColumn)
+      : [cell(cells, firstColumn), cell(cells, lastColumn)].filter(Boolean).join(' '),
+    email: cell(cells, emailColumn).toLowerCase(),
+  }));
+  return { entries, error: null };
+};
+
+const issueInvite = (user) => {
+  user.inviteToken = crypto.randomBytes(32).toString('hex');
+  user.inviteExpires = Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// A pending account with an unusable random password until the invitation is accepted
+const createPendingUser = async ({ name, email }) => {
+  const profile = await new Student({ name, score: 0, badges: [] }).save();
+  const user = new User({
+    name,
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    status: 'pending',
+    studentProfile: profile._id,
+  });
+  issueInvite(user);
+  try {
+    await user.save();
+  } catch (error) {
+    await Student.deleteOne({ _id: profile._id });
+    throw error;
+  }
+  return user;
+};
+
+const sendInvite = (course, user) => {
+  const acceptUrl = `${APP_URL}/accept-invite?token=${user.inviteToken}&email=${encodeURIComponent(user.email)}`;
+  return sendMail({
+    to: user.email,
+    subject: `You have been enrolled in ${course.name}`,
+    html: `<p>Hi ${escapeHtml(user.name)}, you have been enrolled in <strong>${escapeHtml(course.name)}</strong>. `
+      + `<a href="${acceptUrl}">Click here to set your password and activate your account</a>. `
+      + `This link is valid for ${INVITE_EXPIRY_DAYS} days.</p>`,
+  });
+};
+
+// Enroll every roster entry in the course. Known users are seated directly (a roster import skips
+// the approval queue; once the course is full the rest are waitlisted), unknown emails get a pending
+// account and an invitation email, and pending accounts that are not enrolled yet get a fresh invitation.
+// Coach accounts and course staff are never enrolled. Each entry gets a status: enrolled, alreadyEnrolled,
+// invited or invalid. With dryRun nothing is written.
+const importRoster = async (course, entries, { dryRun = false } = {}) => {
+  const emails = entries.map(entry => entry.email).filter(email => EMAIL_PATTERN.test(email));
+  const users = await User.find({ email: { $in: emails } }).select('name email status role');
+  const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+  const seen = new Set();
+  let seatsTaken = course.students.length;
+  const invited = [];
+  const rows = [];
+  for (const { row, name, email } of entries) {
+    const result = { row, name, email };
+    rows.push(result);
+    const invalid = (reason) => Object.assign(result, { status: 'invalid', reason });
+
+    if (!email) {
+      invalid('Email is missing');
+      continue;
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+      invalid('Invalid email address');
+      continue;
+    }
+    if (seen.has(email)) {
+      invalid('Duplicate email in the roster');
+      continue;
+    }
+    seen.add(email);
+
+    let user = usersByEmail.get(email);
+    if (user && isCourseStaff(course, user._id)) {
+      invalid('Course staff cannot be enrolled as students');
+      continue;
+    }
+    if (user && user.role === 'coach') {
+      invalid('Coach accounts cannot be enrolled as students');
+      continue;
+    }
+    if (user && isEnrolled(course, user._id)) {
+      result.status = 'alreadyEnrolled';
+      continue;
+    }
+    if (!user && !name) {
+      invalid('A name is required to invite a new student');
+      continue;
+    }
+
+    result.status = !user || user.status === 'pending' ? 'invited' : 'enrolled';
+    if (course.maxSeats && seatsTaken >= course.maxSeats) {
+      result.waitlisted = true;
+    } else {
+      seatsTaken++;
+    }
+    if (dryRun) continue;
+
+    // Every row is written on its own, so a failing row is reported without losing the others
+    let created = null;
+    try {
+      if (!user) {
+        user = created = await createPendingUser({ name, email });
+      } else if (user.status === 'pending') {
+        issueInvite(user);
+        await user.save();
+      }
+      // Seats may have been taken since the preview count; the atomic admission has the final word
+      result.waitlisted = (await admitStudent(course, user._id)) === 'waitlisted';
+    } catch (error) {
+      console.error(`Roster row ${row} (${email}) failed:`, error);
+      if (created) {
+        await User.deleteOne({ _id: created._id });
+        await Student.deleteOne({ _id: created.studentProfile });
+      }
+      delete result.waitlisted;
+      invalid(error.name === 'ValidationError' ? error.message : 'The student could not be enrolled');
+      continue;
+    }
+    if (result.status === 'invited') invited.push({ result, user });
+  }
+
+  if (!dryRun) {
+    for (const { result, user } of invited) {
+      try {
+        await sendInvite(course, user);
+        result.emailSent = true;
+      } catch (error) {
+        console.error(`Roster invitation to ${user.email} failed:`, error);
+        result.emailSent = false;
+      }
+    }
+  }
+
+  const summary = { enrolled: 0, alreadyEnrolled: 0, invited: 0, invalid: 0, waitlisted: 0 };
+  rows.forEach(result => {
+    summary[result.status]++;
+    if (result.waitlisted) summary.waitlisted++;
+  });
+  return { summary, rows };
+};
+
+module.exports = { ROSTER_MAX_ROWS, INVITE_EXPIRY_DAYS, parseRoster, importRoster };
@@ -0,0 +1,116 @@
+const Skill = require('../models/skill.model');
+const Task = require('../models/task.model');
+const Progress = require('../models/progress.model');
+const { releasedSkills } = require('./release');
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Whether a student's progress on `skill` satisfies `condition` (the unlock condition of a dependent skill)
+const meetsCondition = (skill, condition, progress) => {
+  const taskIds = skill.tasks.map(idOf);
+  if (taskIds.length === 0) return true;
+  const completed = new Set(progress ? progress.completedTasks.map(idOf) : []);
+  const mode = (condition && condition.mode) || 'allTasks';
+
+  if (mode === 'minRating') {
+    const ratings = (progress ? progress.taskProgress : [])
+      .filter(tp => taskIds.includes(idOf(tp.task)) && tp.coachRating !== null && tp.coachRating !== undefined)
+      .map(tp => tp.coachRating);
+    if (ratings.length === 0) return false;
+    return ratings.reduce((sum, r) => sum + r, 0) / ratings.length >= condition.minRating;
+  }
+
+  const done = taskIds.filter(id => completed.has(id)).length;
+  const required = mode === 'percentage' ? condition.percentage : 100;
+  return (done / taskIds.length) * 100 >= required;
+};
+
+// Map of skillId -> { locked, missingPrerequisites } for one student.
+// `skills` are all skills of the course (tasks may be ids or populated), `progress` the student's Progress or null.
+const getSkillLockStates = (skills, progress) => {
+  const byId = new Map(skills.map(skill => [idOf(skill), skill]));
+  const states = new Map();
+  skills.forEach(skill => {
+    const missingPrerequisites = (skill.prerequisites || [])
+      .map(idOf)
+      .filter(id => byId.has(id) && !meetsCondition(byId.get(id), skill.unlockCondition, progress));
+    states.set(idOf(skill), { locked: missingPrerequisites.length > 0, missingPrerequisites });
+  });
+  return states;
+};
+
+// Whether a task counts as done for a sequential skill: completed, or approved on review
+const isTaskDone = (taskId, progress) => {
+  if (!progress) return false;
+  if (progress.completedTasks.some(id => idOf(id) === taskId)) return true;
+  const tp = progress.taskProgress.find(entry => idOf(entry.task) === taskId);
+  return !!tp && (tp.completed || tp.approved === true);
+};
+
+// Ids of the tasks of a sequential skill the student cannot start yet: everything after the first
+// task that is not done. `skill.tasks` are the tasks the student can see, in order.
+const getLockedTaskIds = (skill, progress) => {
+  const locked = new Set();
+  if (!skill.sequential) return locked;
+  let open = true;
+  skill.tasks.forEach(task => {
+    if (!open) {
+      locked.add(idOf(task));
+    } else if (!isTaskDone(idOf(task), progress)) {
+      open = false;
+    }
+  });
+  return locked;
+};
+
+// Plain skill objects annotated with the student's lock state, and populated tasks of sequential
+// skills with theirs; staff see everything unlocked
+const annotateSkills = (skills, progress, { isStaff = false } = {}) => {
+  const states = isStaff ? null : getSkillLockStates(skills, progress);
+  return skills.map(skill => {
+    const plain = typeof skill.toObject === 'function' ? skill.toObject() : skill;
+    const state = states ? states.get(idOf(skill)) : { locked: false, missingPrerequisites: [] };
+    const lockedTasks = isStaff ? new Set() : getLockedTaskIds(plain, progress);
+    const tasks = (plain.tasks || []).map(task => (task && task._id
+      ? { ...task, locked: lockedTasks.has(idOf(task)) }
+      : task));
+    return { ...plain, tasks, ...state };
+  });
+};
+
+// The locked skill a task belongs to for this student, or null when the task may be worked on.
+// Only released skills and tasks count, as those are all the student can see.
+const findLockedSkill = async (taskId, userId) => {
+  const task = await Task.findById(taskId).select('skill');
+  if (!task) return null;
+  const skill = await Skill.findById(task.skill);
+  if (!skill || skill.prerequisites.length === 0) return null;
+  const courseSkills = releasedSkills(await Skill.find({ course: skill.course }).populate('tasks', 'status releaseAt'));
+  const progress = await Progress.findOne({ user: userId, course: skill.course });
+  const state = getSkillLockStates(courseSkills, progress).get(skill._id.toString());
+  return state && state.locked ? skill : null;
+};
+
+// In a sequential skill, the earlier task the student has to finish before starting this one, or null.
+// Only released tasks count, as those are all the student can see.
+const findBlockingTask = async (taskId, userId) => {
+  const task = await Task.findById(taskId).select('skill');
+  if (!task) return null;
+  const skill = await Skill.findById(task.skill).populate('tasks', 'title status releaseAt');
+  if (!skill || !skill.sequential) return null;
+  const [visible] = releasedSkills([skill]);
+  if (!visible) return null;
+  const progress = await Progress.findOne({ user: userId, course: skill.course });
+  const index = visible.tasks.findIndex(t => idOf(t) === idOf(task));
+  const blocking = visible.tasks.slice(0, Math.max(index, 0)).find(t => !isTaskDone(idOf(t), progress));
+  return blocking || null;
+};
+
+module.exports = {
+  meetsCondition,
+  getSkillLockStates,
+  getLockedTaskIds,
+  annotateSkills,
+  findLockedSkill,
+  findBlockingTask,
+};
@@ -0,0 +1,111 @@
+const Streak = require('../models/streak.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EVENTS = 50;
+
+const STREAK_SETTINGS = {
+  timezone: process.env.STREAK_TIMEZONE || 'UTC',
+  dayStartHour: Number(process.env.STREAK_DAY_START_HOUR) || 0, // e.g. 4 = activity before 4am counts for the previous day
+  milestones: [3, 7, 14, 30, 60, 100, 365],
+  freezeEvery: 7, // a freeze token is earned every 7 consecutive days
+  maxFreezes: 2,
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Local calendar day (YYYY-MM-DD) that `date` falls on for the streak's day boundary
+const dayKey = (date, streak) => {
+  const timezone = streak?.timezone || STREAK_SETTINGS.timezone;
+  const dayStartHour = streak?.dayStartHour ?? STREAK_SETTINGS.dayStartHour;
+  const shifted = new Date(new Date(date).getTime() - dayStartHour * 60 * 60 * 1000);
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(shifted);
+};
+
+const dayNumber = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+// Record a day of activity for a user. Returns the streak and the events this activity caused.
+const recordActivity = async (userId, at = new Date()) => {
+  const streak = (await Streak.findOne({ user: userId })) || new Streak({ user: userId });
+  const today = dayKey(at, streak);
+  if (streak.lastActiveDay === today) return { streak, events: [] };
+
+  const gap = streak.lastActiveDay ? dayNumber(today) - dayNumber(streak.lastActiveDay) : null;
+  if (gap !== null && gap < 0) return { streak, events: [] };
+
+  const events = [];
+  const missedDays = gap === null ? 0 : gap - 1;
+  if (gap === 1) {
+    streak.current += 1;
+  } else if (gap !== null && missedDays <= streak.freezes) {
+    streak.freezes -= missedDays;
+    events.push({ type: 'freeze_used', length: missedDays });
+    streak.current += 1;
+  } else {
+    if (streak.current > 0) events.push({ type: 'broken', length: streak.current });
+    streak.current = 1;
+  }
+
+  streak.lastActiveDay = today;
+  streak.longest = Math.max(streak.longest, streak.current);
+  if (STREAK_SETTINGS.milestones.includes(streak.current)) {
+    events.push({ type: 'milestone', length: streak.current });
+  }
+  if (streak.current % STREAK_SETTINGS.freezeEvery === 0 && streak.freezes < STREAK_SETTINGS.maxFreezes) {
+    streak.freezes += 1;
+    events.push({ type: 'freeze_earned', length: 1 });
+  }
+
+  streak.events.push(...events.map(event => ({ ...event, at })));
+  if (streak.events.length > MAX_EVENTS) {
+    streak.events = streak.events.slice(-MAX_EVENTS);
+  }
+  await streak.save();
+  return { streak, events };
+};
+
+// Streak as it stands right now, without recording anything. A streak whose missed days
+// can no longer be covered by freezes reads as 0.
+const getStreakStatus = (streak, now = new Date()) => {
+  const timezone = streak.timezone || STREAK_SETTINGS.timezone;
+  const dayStartHour = streak.dayStartHour ?? STREAK_SETTINGS.dayStartHour;
+  const status = {
+    current: 0,
+    longest: streak.longest,
+    freezes: streak.freezes,
+    lastActiveDay: streak.lastActiveDay,
+    activeToday: false,
+    atRisk: false,
+    timezone,
+    dayStartHour,
+    events: streak.events.slice(-10).reverse(),
+  };
+  if (!streak.lastActiveDay) return status;
+
+  const missedDays = dayNumber(dayKey(now, streak)) - dayNumber(streak.lastActiveDay) - 1;
+  status.activeToday = missedDays === -1;
+  if (missedDays <= streak.freezes) {
+    status.current = streak.current;
+    // Not active today and no freeze left to cover today: the streak ends at the day boundary
+    status.atRisk = !status.activeToday && missedDays + 1 > streak.freezes;
+  }
+  return status;
+};
+
+module.exports = {
+  STREAK_SETTINGS,
+  isValidTimezone,
+  dayKey,
+  recordActivity,
+  getStreakStatus,
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Progress = require('../models/progress.model');
+const Task = require('../models/task.model');
+const Skill = require('../models/skill.model');
+const Course = require('../models/course.model');
+const { XP_REWARDS } = require('./xpLedger');
+const { processProgressEvent } = require('./gamification');
+const { countReleasedTasks } = require('./release');
+const { DEADLINE_FIELDS, applyLateness, completionXp } = require('./deadlines');
+
+// The course a task belongs to (task -> skill -> course), or null. Progress is always credited to
+// this course, never to one named in a request.
+const findTaskCourse = async (taskId) => {
+  if (!mongoose.isValidObjectId(taskId)) return null;
+  const task = await Task.findById(taskId).select('skill');
+  const skill = task ? await Skill.findById(task.skill).select('course') : null;
+  return skill ? Course.findById(skill.course) : null;
+};
+
+// The student's progress document for a course, created (unsaved) if they have none yet
+const findOrCreateProgress = async (userId, courseId) => {
+  const progress = await Progress.findOne({ user: userId, course: courseId });
+  return progress || new Progress({ user: userId, course: courseId, completedTasks: [] });
+};
+
+// The taskProgress entry for a task, added if missing
+const taskProgressEntry = (progress, taskId) => {
+  let tp = progress.taskProgress.find(entry => entry.task.toString() === String(taskId));
+  if (!tp) {
+    // push() casts to a new subdocument, so work on the array element rather than the literal
+    progress.taskProgress.push({ task: taskId, studentUploads: [] });
+    tp = progress.taskProgress[progress.taskProgress.length - 1];
+  }
+  return tp;
+};
+
+// Mark a task complete for a student, then award the streak day and completion XP (the ledger
+// ignores repeat completions of the same task, and the task's late policy may reduce it), badges
+// and level changes. The course is the task's own. Pass `progress` when the caller has already
+// loaded and changed it. Returns { progress, gamification }.
+const completeTask = async ({ userId, taskId, progress }) => {
+  const course = await findTaskCourse(taskId);
+  if (!course) throw new Error(`Task ${taskId} does not belong to a course`);
+  const courseId = course._id;
+  if (progress && progress.course.toString() !== courseId.toString()) {
+    throw new Error(`Progress ${progress._id} is not for the course of task ${taskId}`);
+  }
+  const doc = progress || await findOrCreateProgress(userId, courseId);
+  const task = await Task.findById(taskId).select(DEADLINE_FIELDS);
+
+  if (!doc.completedTasks.some(id => id.toString() === String(taskId))) {
+    doc.completedTasks.push(taskId);
+  }
+  // Keep a timestamped taskProgress entry so time-boxed challenges can count the completion
+  const tp = taskProgressEntry(doc, taskId);
+  if (!tp.completed) {
+    tp.completed = true;
+    tp.completedAt = new Date();
+    // Work that was submitted already got its late flag then
+    if (task && !tp.submittedAt) applyLateness(tp, task, userId, tp.completedAt);
+  }
+
+  doc.completedTasksCount = doc.completedTasks.length;
+  // Count the tasks students can currently see
+  doc.totalTasks = await countReleasedTasks(courseId);
+  doc.lastActivity = new Date();
+  const saved = await doc.save();
+
+  const gamification = await processProgressEvent({
+    userId,
+    courseId,
+    activity: true,
+    xp: [{
+      source: 'task_completed',
+      amount: task ? completionXp(task, tp.daysLate) : XP_REWARDS.taskCompleted,
+      sourceKey: `task_completed:${userId}:${taskId}`,
+      task: taskId,
+      reason: tp.late ? `Completed ${tp.daysLate} day(s) late` : '',
+    }],
+  });
+  return { progress: saved, gamification };
+};
+
+module.exports = { findTaskCourse, findOrCreateProgress, taskProgressEntry, completeTask };
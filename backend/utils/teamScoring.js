@@ -0,0 +1,61 @@
+const Progress = require('../models/progress.model');
+const Skill = require('../models/skill.model');
+const { getXpTotals } = require('./xpLedger');
+
+const inRange = (date, since, until) => !!date && (!since || date >= since) && (!until || date <= until);
+
+// Group members who compete: everybody but coaches
+const competingMembers = (group) => group.members.filter(member => member.role !== 'coach'
+  && (!group.coach || member._id.toString() !== group.coach.toString()));
+
+// Per-member XP and task completions, plus the group's total, average and completion rate.
+// `group.members` must be populated with name and role.
+const scoreGroup = async (group, { course, since, until } = {}) => {
+  const members = competingMembers(group);
+  const memberIds = members.map(m => m._id);
+  const totals = await getXpTotals(memberIds, { course, since, until });
+
+  const progressFilter = { user: { $in: memberIds } };
+  if (course) progressFilter.course = course;
+  const progresses = await Progress.find(progressFilter).select('user taskProgress');
+  const completedByUser = new Map();
+  progresses.forEach(progress => {
+    const count = progress.taskProgress.filter(tp => tp.completed && inRange(tp.completedAt, since, until)).length;
+    const key = progress.user.toString();
+    completedByUser.set(key, (completedByUser.get(key) || 0) + count);
+  });
+
+  let courseTaskCount = 0;
+  if (course) {
+    const skills = await Skill.find({ course }).select('tasks');
+    courseTaskCount = skills.reduce((sum, skill) => sum + skill.tasks.length, 0);
+  }
+
+  const total = members.reduce((sum, m) => sum + (totals.get(m._id.toString()) || 0), 0);
+  const breakdown = members
+    .map(m => {
+      const xp = totals.get(m._id.toString()) || 0;
+      const tasksCompleted = completedByUser.get(m._id.toString()) || 0;
+      return {
+        user: { _id: m._id, name: m.name },
+        xp,
+        tasksCompleted,
+        completionRate: courseTaskCount > 0 ? Math.round((tasksCompleted / courseTaskCount) * 100) : 0,
+        share: total > 0 ? Math.round((xp / total) * 100) : 0,
+      };
+    })
+    .sort((a, b) => b.xp - a.xp || a.user.name.localeCompare(b.user.name));
+
+  const memberCount = members.length;
+  return {
+    memberCount,
+    total,
+    average: memberCount > 0 ? Math.round((total / memberCount) * 10) / 10 : 0,
+    completionRate: memberCount > 0
+      ? Math.round(breakdown.reduce((sum, m) => sum + m.completionRate, 0) / memberCount)
+      : 0,
+    members: breakdown,
+  };
+};
+
+module.exports = { competingMembers, scoreGroup };
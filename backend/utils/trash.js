@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Course = require('../models/course.model');
+const Skill = require('../models/skill.model');
+const Task = require('../models/task.model');
+const Progress = require('../models/progress.model');
+const User = require('../models/user.model');
+const QuizAttempt = require('../models/quizAttempt.model');
+const { removeTaskFiles } = require('./courseCopy');
+
+// Days an item stays in the trash before the purge job deletes it for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeAt = (item) => new Date(item.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+const trashFields = (batch, userId, now) => ({ deletedAt: now, deletedBy: userId, trashBatch: batch });
+const RESTORED = { deletedAt: null, deletedBy: null, trashBatch: null, trashIndex: null };
+const inBatch = (batch) => ({ trashBatch: batch, deletedAt: { $ne: null } });
+
+const indexOf = (ids, id) => ids.findIndex(other => other.toString() === id.toString());
+
+// Trash a course with its skills, tasks and every student's progress. Students keep their place
+// on Course.students so restoring re-enrolls them.
+const trashCourse = async (course, userId) => {
+  const batch = new mongoose.Types.ObjectId();
+  const fields = trashFields(batch, userId, new Date());
+  const skillIds = await Skill.find({ course: course._id }).distinct('_id');
+  await Task.updateMany({ skill: { $in: skillIds } }, fields);
+  await Skill.updateMany({ course: course._id }, fields);
+  await Progress.updateMany({ course: course._id }, fields);
+  await User.updateMany({ enrolledCourses: course._id }, { $pull: { enrolledCourses: course._id } });
+  await Course.updateOne({ _id: course._id }, fields);
+};
+
+// Trash a skill with its tasks; it leaves Course.skills until it is restored
+const trashSkill = async (skill, userId) => {
+  const batch = new mongoose.Types.ObjectId();
+  const fields = trashFields(batch, userId, new Date());
+  const course = await Course.findById(skill.course).select('skills');
+  await Task.updateMany({ skill: skill._id }, fields);
+  await Skill.updateOne({ _id: skill._id }, { ...fields, trashIndex: course ? indexOf(course.skills, skill._id) : null });
+  await Course.updateOne({ _id: skill.course }, { $pull: { skills: skill._id } });
+};
+
+// Trash a task; it leaves Skill.tasks until it is restored
+const trashTask = async (task, userId) => {
+  const batch = new mongoose.Types.ObjectId();
+  const skill = await Skill.findById(task.skill).select('tasks');
+  await Task.updateOne({ _id: task._id }, {
+    ...trashFields(batch, userId, new Date()),
+    trashIndex: skill ? indexOf(skill.tasks, task._id) : null,
+  });
+  await Skill.updateOne({ _id: task.skill }, { $pull: { tasks: task._id } });
+};
+
+// Put an id back into its parent's array where it was
+const reinsert = (Model, parentId, field, id, index) => Model.updateOne(
+  { _id: parentId, [field]: { $ne: id } },
+  { $push: { [field]: index !== null && index >= 0 ? { $each: [id], $position: index } : id } }
+);
+
+// Each restore returns an error message when the parent is itself in the trash, otherwise null
+const restoreCourse = async (course) => {
+  const batch = course.trashBatch;
+  await Course.updateOne({ _id: course._id, deletedAt: { $ne: null } }, RESTORED);
+  await Skill.updateMany(inBatch(batch), RESTORED);
+  await Task.updateMany(inBatch(batch), RESTORED);
+  await Progress.updateMany(inBatch(batch), RESTORED);
+  await User.updateMany({ _id: { $in: course.students } }, { $addToSet: { enrolledCourses: course._id } });
+  return null;
+};
+
+const restoreSkill = async (skill) => {
+  if (!(await Course.exists({ _id: skill.course }))) return 'Restore the course first';
+  await Task.updateMany(inBatch(skill.trashBatch), RESTORED);
+  await Skill.updateOne({ _id: skill._id, deletedAt: { $ne: null } }, RESTORED);
+  await reinsert(Course, skill.course, 'skills', skill._id, skill.trashIndex);
+  return null;
+};
+
+const restoreTask = async (task) => {
+  if (!(await Skill.exists({ _id: task.skill }))) return 'Restore the skill first';
+  await Task.updateOne({ _id: task._id, deletedAt: { $ne: null } }, RESTORED);
+  await reinsert(Skill, task.skill, 'tasks', task._id, task.trashIndex);
+  return null;
+};
+
+// Hard deletes. deleteOne/deleteMany are not soft-delete filtered, so trashed children go too.
+const purgeTask = async (task) => {
+  await Task.deleteOne({ _id: task._id });
+  await QuizAttempt.deleteMany({ task: task._id });
+  await Skill.updateOne({ _id: task.skill }, { $pull: { tasks: task._id } }).setOptions({ withDeleted: true });
+  await removeTaskFiles(task);
+};
+
+const purgeSkill = async (skill) => {
+  const tasks = await Task.find({ skill: skill._id }).setOptions({ withDeleted: true });
+  for (const task of tasks) await purgeTask(task);
+  await Skill.deleteOne({ _id: skill._id });
+  await Course.updateOne({ _id: skill.course }, { $pull: { skills: skill._id } }).setOptions({ withDeleted: true });
+  await Skill.updateMany({ prerequisites: skill._id }, { $pull: { prerequisites: skill._id } }).setOptions({ withDeleted: true });
+};
+
+const purgeCourse = async (course) => {
+  const skills = await Skill.find({ course: course._id }).setOptions({ withDeleted: true });
+  for (const skill of skills) await purgeSkill(skill);
+  await Progress.deleteMany({ course: course._id });
+  await User.updateMany({ enrolledCourses: course._id }, { $pull: { enrolledCourses: course._id } });
+  await Course.deleteOne({ _id: course._id });
+};
+
+// Permanently delete everything trashed longer than the retention window, with its files
+const purgeExpiredTrash = async (now = new Date()) => {
+  const expired = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS) } };
+  const courses = await Course.find(expired);
+  for (const course of courses) await purgeCourse(course);
+  const skills = await Skill.find(expired);
+  for (const skill of skills) await purgeSkill(skill);
+  const tasks = await Task.find(expired);
+  for (const task of tasks) await purgeTask(task);
+  // Progress of a course that is still around is only trashed with it; anything left over is orphaned
+  const progress = await Progress.deleteMany(expired);
+  return { courses: courses.length, skills: skills.length, tasks: tasks.length, progress: progress.deletedCount };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeAt,
+  trashCourse,
+  trashSkill,
+  trashTask,
+  restoreCourse,
+  restoreSkill,
+  restoreTask,
+  purgeCourse,
+  purgeSkill,
+  purgeTask,
+  purgeExpiredTrash,
+};
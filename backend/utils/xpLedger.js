@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const Student = require('../models/student.model');
+const User = require('../models/user.model');
+
+// XP granted per event type
+const XP_REWARDS = {
+  taskCompleted: 10,
+  coachRatingPerStar: 5, // coach ratings are 1-5 stars
+  badgeDefault: 25,      // used when a badge does not define its own xpReward
+};
+
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+// Sum of a user's ledger entries, optionally limited to one course and/or a date range
+const getXpTotal = async (userId, { course, since, until } = {}) => {
+  const totals = await getXpTotals([userId], { course, since, until });
+  return totals.get(userId.toString()) || 0;
+};
+
+// Map of userId -> XP total for many users at once
+const getXpTotals = async (userIds, { course, since, until } = {}) => {
+  const match = { user: { $in: userIds.map(toObjectId) } };
+  if (course) match.course = toObjectId(course);
+  if (since || until) {
+    match.createdAt = {};
+    if (since) match.createdAt.$gte = since;
+    if (until) match.createdAt.$lte = until;
+  }
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: '$user', total: { $sum: '$amount' } } },
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.total]));
+};
+
+// Student.score is a cached copy of the ledger total kept for legacy readers
+const syncStudentScore = async (userId) => {
+  const user = await User.findById(userId).select('studentProfile');
+  if (!user || !user.studentProfile) return;
+  const total = await getXpTotal(userId);
+  await Student.updateOne({ _id: user.studentProfile }, { score: total });
+};
+
+// Append an entry to the ledger. `sourceKey` must uniquely identify the event;
+// returns null when that event was already recorded.
+const awardXp = async ({ user, course, source, amount, sourceKey, task, badge, challenge, reason, createdBy, reverses }) => {
+  try {
+    const entry = await LedgerEntry.create({
+      user,
+      course: course || null,
+      source,
+      amount,
+      sourceKey,
+      task: task || null,
+      badge: badge || null,
+      challenge: challenge || null,
+      reason: reason || '',
+      createdBy: createdBy || null,
+      reverses: reverses || null,
+    });
+    await syncStudentScore(user);
+    return entry;
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return null;
+    throw err;
+  }
+};
+
+// Cancel out an entry by appending its negation. Returns null if it was already reversed.
+const reverseEntry = async (entry, { createdBy, reason } = {}) => {
+  if (entry.source === 'reversal') {
+    throw new Error('A reversal entry cannot be reversed');
+  }
+  return awardXp({
+    user: entry.user,
+    course: entry.course,
+    source: 'reversal',
+    amount: -entry.amount,
+    sourceKey: `reversal:${entry._id}`,
+    task: entry.task,
+    badge: entry.badge,
+    challenge: entry.challenge,
+    reason,
+    createdBy,
+    reverses: entry._id,
+  });
+};
+
+// Reverse every entry matching `filter` that has not been reversed yet,
+// e.g. the previous coach rating of a task that is being re-rated
+const reverseActiveEntries = async (filter, options) => {
+  // Reversals are never reversed themselves; a caller's own source filter already excludes them
+  const entries = await LedgerEntry.find({ source: { $ne: 'reversal' }, ...filter });
+  if (entries.length === 0) return [];
+  const alreadyReversed = (await LedgerEntry.distinct('reverses', {
+    reverses: { $in: entries.map(entry => entry._id) },
+  })).map(id => id.toString());
+  const reversals = [];
+  for (const entry of entries) {
+    if (alreadyReversed.includes(entry._id.toString())) continue;
+    const reversal = await reverseEntry(entry, options);
+    if (reversal) reversals.push(reversal);
+  }
+  return reversals;
+};
+
+module.exports = {
+  XP_REWARDS,
+  awardXp,
+  reverseEntry,
+  reverseActiveEntries,
+  getXpTotal,
+  getXpTotals,
+  syncStudentScore,
+};